@@ -0,0 +1,276 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Provides face pose estimation and alignment of face landmarks into
+ * a canonical frontal frame.
+ *
+ * The alignment is a similarity transform (rotation, uniform scale and
+ * translation) fitted to the reference mesh anchors using Horn's quaternion
+ * method of absolute orientation.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceAlignment {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} params Alignment parameters
+     * @param {number[][]} params.rotation Rotation matrix from source to reference frame
+     * @param {number} params.scale Scale factor from source to reference frame
+     * @param {number[]} params.source Source anchors centroid
+     * @param {number[]} params.target Reference anchors centroid
+     */
+    constructor({rotation, scale, source, target}) {
+        this.rotation = rotation;
+        this.scale = scale;
+        this.source = source;
+        this.target = target;
+        this.pose = this.constructor.toEuler(this.constructor.transpose(rotation));
+    }
+
+    /**
+     * Map coordinate into reference frame.
+     *
+     * @param {object} p Point coordinate
+     * @param {number} p.x X coordinate
+     * @param {number} p.y Y coordinate
+     * @param {number} p.z Z coordinate
+     * @returns {object}
+     */
+    apply({x, y, z}) {
+        const v = [x - this.source[0], y - this.source[1], (z ?? 0) - this.source[2]];
+        const [rx, ry, rz] = this.rotation.map(r => r[0] * v[0] + r[1] * v[1] + r[2] * v[2]);
+        return {
+            x: this.scale * rx + this.target[0],
+            y: this.scale * ry + this.target[1],
+            z: this.scale * rz + this.target[2],
+        }
+    }
+
+    /**
+     * Fit face landmarks to the reference mesh.
+     *
+     * @param {Point[]} points Face mesh points, ordered by keypoint index
+     * @param {object} centers Named contour centers
+     * @returns {FaceAlignment|undefined}
+     */
+    static fit(points, centers) {
+        const src = [], dst = [];
+        for (const anchor of this.anchors) {
+            const p = anchor.index !== undefined ? points[anchor.index] : centers[anchor.name];
+            if (p) {
+                src.push([p.x, p.y, p.z ?? 0]);
+                dst.push(anchor.ref);
+            }
+        }
+        // at least three anchors are needed to resolve the rotation
+        if (src.length >= 3) {
+            return this.procrustes(src, dst);
+        }
+    }
+
+    /**
+     * Solve similarity transform which maps source to destination.
+     *
+     * @param {number[][]} src Source coordinates
+     * @param {number[][]} dst Destination coordinates
+     * @returns {FaceAlignment|undefined}
+     */
+    static procrustes(src, dst) {
+        const centroid = coords => [0, 1, 2]
+            .map(i => coords.reduce((a, b) => a + b[i], 0) / coords.length);
+        const source = centroid(src);
+        const target = centroid(dst);
+        const a = src.map(p => p.map((v, i) => v - source[i]));
+        const b = dst.map(p => p.map((v, i) => v - target[i]));
+        const norm = coords => coords.reduce((sum, p) => sum + p[0] * p[0] + p[1] * p[1] + p[2] * p[2], 0);
+        const na = norm(a);
+        const nb = norm(b);
+        if (na === 0 || nb === 0) {
+            return;
+        }
+        // cross covariance
+        const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < a.length; i++) {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    S[r][c] += a[i][r] * b[i][c];
+                }
+            }
+        }
+        const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+        const N = [
+            [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+            [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+            [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+            [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+        ];
+        const {values, vectors} = this.eigen(N);
+        let best = 0;
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] > values[best]) {
+                best = i;
+            }
+        }
+        const q = vectors.map(v => v[best]);
+        return new this({
+            rotation: this.toRotation(q),
+            scale: Math.sqrt(nb / na),
+            source,
+            target,
+        });
+    }
+
+    /**
+     * Compute eigen values and vectors of a symmetric matrix using Jacobi method.
+     *
+     * @param {number[][]} matrix Symmetric matrix
+     * @returns {object}
+     */
+    static eigen(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(r => [...r]);
+        const v = a.map((r, i) => r.map((_, j) => i === j ? 1 : 0));
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let off = 0;
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) {
+                    off += a[i][j] * a[i][j];
+                }
+            }
+            if (off < 1e-20) {
+                break;
+            }
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-30) {
+                        continue;
+                    }
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p], akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k], aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p], vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+        return {values: a.map((r, i) => r[i]), vectors: v};
+    }
+
+    /**
+     * Convert unit quaternion to rotation matrix.
+     *
+     * @param {number[]} q Quaternion as [w, x, y, z]
+     * @returns {number[][]}
+     */
+    static toRotation([w, x, y, z]) {
+        return [
+            [w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y)],
+            [2 * (y * x + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x)],
+            [2 * (z * x - w * y), 2 * (z * y + w * x), w * w - x * x - y * y + z * z],
+        ];
+    }
+
+    /**
+     * Transpose matrix.
+     *
+     * @param {number[][]} m Matrix
+     * @returns {number[][]}
+     */
+    static transpose(m) {
+        return m[0].map((_, c) => m.map(r => r[c]));
+    }
+
+    /**
+     * Decompose rotation matrix into yaw, pitch and roll angles in degrees.
+     *
+     * Coordinates follow the image convention, x to the right, y downward
+     * and z away from the camera.
+     *
+     * @param {number[][]} m Rotation matrix
+     * @returns {object}
+     */
+    static toEuler(m) {
+        const deg = rad => rad * 180 / Math.PI;
+        return {
+            yaw: deg(Math.asin(Math.max(-1, Math.min(1, -m[2][0])))),
+            pitch: deg(Math.atan2(m[2][1], m[2][2])),
+            roll: deg(Math.atan2(m[1][0], m[0][0])),
+        }
+    }
+
+    /**
+     * Get reference mesh anchors.
+     *
+     * Anchors are either a named contour, which position is the contour
+     * center, or a face mesh keypoint index. Reference coordinates are
+     * expressed in unit face box of a frontal face.
+     *
+     * @property {object[]}
+     */
+    static get anchors() {
+        if (this._anchors === undefined) {
+            this._anchors = [
+                {name: 'rightEye', ref: [0.31, 0.38, 0.02]},
+                {name: 'rightIris', ref: [0.31, 0.38, 0.02]},
+                {name: 'leftEye', ref: [0.69, 0.38, 0.02]},
+                {name: 'leftIris', ref: [0.69, 0.38, 0.02]},
+                {index: 10, ref: [0.5, 0.0, 0.0]},
+                {index: 168, ref: [0.5, 0.36, -0.04]},
+                {index: 1, ref: [0.5, 0.6, -0.16]},
+                {index: 152, ref: [0.5, 1.0, 0.0]},
+                {index: 234, ref: [0.0, 0.45, 0.28]},
+                {index: 454, ref: [1.0, 0.45, 0.28]},
+            ];
+        }
+        return this._anchors;
+    }
+
+    /**
+     * Set reference mesh anchors.
+     *
+     * @param {object[]} anchors Reference anchors
+     */
+    static setAnchors(anchors) {
+        this._anchors = anchors;
+    }
+}
+
+module.exports = FaceAlignment;
\ No newline at end of file
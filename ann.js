@@ -0,0 +1,360 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('identity:face-ng:ann');
+
+/**
+ * Approximate nearest neighbour index of features vectors using hierarchical
+ * navigable small world graph (HNSW).
+ *
+ * Several vectors may share a label, e.g. samples of an identity. Removed
+ * vectors are kept in the graph to preserve its connectivity but excluded
+ * from the results, the graph is rebuilt once they outnumber live vectors.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class HnswIndex {
+
+    static VERSION = 1
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {number} options.M Maximum neighbours per node on upper layers
+     * @param {number} options.efConstruction Candidates size on insertion
+     * @param {number} options.efSearch Candidates size on search
+     * @param {string[]} options.keys Features markers of the vectors
+     */
+    constructor(options) {
+        options = options || {};
+        this.M = options.M ?? 16;
+        this.efConstruction = options.efConstruction ?? 100;
+        this.efSearch = options.efSearch ?? 64;
+        this.keys = options.keys ?? null;
+        this.levelFactor = 1 / Math.log(this.M);
+        this.reset();
+    }
+
+    reset() {
+        this.nodes = [];
+        this.labels = new Map();
+        this.digests = {};
+        this.entry = null;
+        this.maxLevel = -1;
+        this.deleted = 0;
+    }
+
+    /**
+     * Get live vectors count.
+     *
+     * @returns {number}
+     */
+    count() {
+        return this.nodes.length - this.deleted;
+    }
+
+    distance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const d = a[i] - b[i];
+            sum += d * d;
+        }
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Add vector.
+     *
+     * @param {string} label Vector label
+     * @param {Float64Array|number[]} vector Vector
+     * @returns {number} Node id
+     */
+    add(label, vector) {
+        vector = Float64Array.from(vector);
+        if (this.nodes.length && vector.length !== this.nodes[0].vector.length) {
+            throw new Error(`Vector dimension ${vector.length} is not matched with index dimension ${this.nodes[0].vector.length}!`);
+        }
+        const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelFactor);
+        const id = this.nodes.length;
+        const node = {label, vector, level, neighbors: Array.from({length: level + 1}, () => [])};
+        this.nodes.push(node);
+        if (!this.labels.has(label)) {
+            this.labels.set(label, []);
+        }
+        this.labels.get(label).push(id);
+        if (this.entry === null) {
+            this.entry = id;
+            this.maxLevel = level;
+            return id;
+        }
+        let current = [[this.distance(vector, this.nodes[this.entry].vector), this.entry]];
+        for (let l = this.maxLevel; l > level; l--) {
+            current = this.searchLayer(vector, current, 1, l);
+        }
+        for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+            current = this.searchLayer(vector, current, this.efConstruction, l);
+            const max = l === 0 ? this.M * 2 : this.M;
+            node.neighbors[l] = current.slice(0, max).map(([, n]) => n);
+            for (const n of node.neighbors[l]) {
+                const neighbors = this.nodes[n].neighbors[l];
+                neighbors.push(id);
+                if (neighbors.length > max) {
+                    // keep the closest neighbours
+                    const v = this.nodes[n].vector;
+                    this.nodes[n].neighbors[l] = neighbors
+                        .map(m => [this.distance(v, this.nodes[m].vector), m])
+                        .sort((a, b) => a[0] - b[0])
+                        .slice(0, max)
+                        .map(([, m]) => m);
+                }
+            }
+        }
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entry = id;
+        }
+        return id;
+    }
+
+    /**
+     * Remove all vectors of a label.
+     *
+     * @param {string} label Vector label
+     * @returns {boolean}
+     */
+    remove(label) {
+        delete this.digests[label];
+        if (this.labels.has(label)) {
+            for (const id of this.labels.get(label)) {
+                this.nodes[id].deleted = true;
+                this.deleted++;
+            }
+            this.labels.delete(label);
+            if (this.deleted > this.count()) {
+                this.rebuild();
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Rebuild graph using live vectors only.
+     */
+    rebuild() {
+        const nodes = this.nodes.filter(node => !node.deleted);
+        const digests = this.digests;
+        this.reset();
+        this.digests = digests;
+        for (const node of nodes) {
+            this.add(node.label, node.vector);
+        }
+    }
+
+    /**
+     * Greedy search of a layer.
+     *
+     * @param {Float64Array} vector Query vector
+     * @param {Array[]} entries Entry points as pairs of distance and node id
+     * @param {number} ef Candidates size
+     * @param {number} level Layer
+     * @returns {Array[]} Closest nodes as pairs of distance and node id ordered by distance
+     */
+    searchLayer(vector, entries, ef, level) {
+        const visited = new Set(entries.map(([, id]) => id));
+        const candidates = [...entries].sort((a, b) => a[0] - b[0]);
+        const res = [...candidates];
+        while (candidates.length) {
+            const [dist, id] = candidates.shift();
+            if (res.length >= ef && dist > res[res.length - 1][0]) {
+                break;
+            }
+            for (const n of this.nodes[id].neighbors[level] || []) {
+                if (!visited.has(n)) {
+                    visited.add(n);
+                    const d = this.distance(vector, this.nodes[n].vector);
+                    if (res.length < ef || d < res[res.length - 1][0]) {
+                        this.constructor.insert(candidates, [d, n]);
+                        this.constructor.insert(res, [d, n]);
+                        if (res.length > ef) {
+                            res.pop();
+                        }
+                    }
+                }
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Search closest labels.
+     *
+     * @param {Float64Array|number[]} vector Query vector
+     * @param {number} count Number of labels
+     * @param {number} ef Candidates size, default to efSearch
+     * @returns {Array[]} Pairs of label and distance ordered by distance
+     */
+    search(vector, count, ef = null) {
+        const res = [];
+        if (this.entry !== null) {
+            vector = Float64Array.from(vector);
+            let current = [[this.distance(vector, this.nodes[this.entry].vector), this.entry]];
+            for (let l = this.maxLevel; l > 0; l--) {
+                current = this.searchLayer(vector, current, 1, l);
+            }
+            current = this.searchLayer(vector, current, Math.max(ef ?? this.efSearch, count), 0);
+            const labels = new Set();
+            for (const [dist, id] of current) {
+                const node = this.nodes[id];
+                if (!node.deleted && !labels.has(node.label)) {
+                    labels.add(node.label);
+                    res.push([node.label, dist]);
+                    if (res.length >= count) {
+                        break;
+                    }
+                }
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Save index to file.
+     *
+     * @param {string} filename File name
+     * @param {object} meta Additional metadata
+     */
+    save(filename, meta = null) {
+        const tmp = `${filename}.tmp`;
+        fs.mkdirSync(path.dirname(filename), {recursive: true});
+        fs.writeFileSync(tmp, JSON.stringify({...this.toJSON(), meta}));
+        fs.renameSync(tmp, filename);
+    }
+
+    toJSON() {
+        return {
+            version: this.constructor.VERSION,
+            M: this.M,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            keys: this.keys,
+            entry: this.entry,
+            maxLevel: this.maxLevel,
+            digests: this.digests,
+            nodes: this.nodes.map(node => ({
+                label: node.label,
+                level: node.level,
+                deleted: node.deleted || undefined,
+                vector: Buffer.from(node.vector.buffer, node.vector.byteOffset, node.vector.byteLength).toString('base64'),
+                neighbors: node.neighbors,
+            })),
+        }
+    }
+
+    /**
+     * Insert a pair into distance ordered list.
+     *
+     * @param {Array[]} list Ordered list
+     * @param {Array} item Pair of distance and node id
+     */
+    static insert(list, item) {
+        let lo = 0, hi = list.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (list[mid][0] <= item[0]) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        list.splice(lo, 0, item);
+    }
+
+    /**
+     * Load index from file.
+     *
+     * @param {string} filename File name
+     * @param {object} options Index options
+     * @returns {HnswIndex|undefined}
+     */
+    static load(filename, options = null) {
+        if (fs.existsSync(filename)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(filename));
+                const index = this.from(data, options);
+                if (index) {
+                    index.meta = data.meta;
+                    return index;
+                }
+            }
+            catch (err) {
+                debug(`Unable to load index ${filename}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Create index from data. When index options are specified, an index
+     * built using different `M` or `efConstruction` is not created so it can
+     * be rebuilt.
+     *
+     * @param {object} data Index data
+     * @param {object} options Index options, overrides search options
+     * @returns {HnswIndex|undefined}
+     */
+    static from(data, options = null) {
+        if (data.version !== this.VERSION) {
+            return;
+        }
+        if (options) {
+            const requested = new this(options);
+            if (data.M !== requested.M || data.efConstruction !== requested.efConstruction) {
+                return;
+            }
+        }
+        const res = new this({...data, ...options});
+        res.entry = data.entry;
+        res.maxLevel = data.maxLevel;
+        res.digests = data.digests || {};
+        res.nodes = data.nodes.map((node, id) => {
+            const buff = Buffer.from(node.vector, 'base64');
+            const vector = new Float64Array(buff.buffer.slice(buff.byteOffset, buff.byteOffset + buff.byteLength));
+            if (node.deleted) {
+                res.deleted++;
+            } else {
+                if (!res.labels.has(node.label)) {
+                    res.labels.set(node.label, []);
+                }
+                res.labels.get(node.label).push(id);
+            }
+            return {label: node.label, level: node.level, deleted: node.deleted, vector, neighbors: node.neighbors};
+        });
+        return res;
+    }
+}
+
+module.exports = HnswIndex;
\ No newline at end of file
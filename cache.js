@@ -0,0 +1,207 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { FaceFeatures } = require('./face');
+const { FaceError } = require('./errors');
+const debug = require('debug')('identity:face-ng:cache');
+
+/**
+ * Persistent cache of features extracted from face images.
+ *
+ * Entries are keyed by the image content hash and stored under a directory
+ * of the extraction signature, e.g. extractor, models, and markers. When the
+ * signature of an extractor changes, its previous entries are kept until
+ * removed using `prune()`. The cache directory can be shared by several
+ * processes, each process refreshes the modification time of signature
+ * directory in use every `TOUCH_INTERVAL`, so directory still in use by
+ * other process is never older than that.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FeatureCache {
+
+    static TOUCH_INTERVAL = 3600000
+    static MAX_AGE = 7 * 24 * 3600000
+
+    /**
+     * Constructor.
+     *
+     * @param {string} dir Cache directory
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        this.used = {};
+    }
+
+    /**
+     * Get features of an image.
+     *
+     * @param {Uint8Array} img Face image
+     * @param {string} name Extractor id
+     * @param {object} signature Extraction signature
+     * @returns {FaceFeatures|null|undefined} Features, null when no face extracted, or undefined when not cached
+     */
+    get(img, name, signature) {
+        const filename = this.getFilename(img, name, signature);
+        if (fs.existsSync(filename)) {
+            try {
+                const data = JSON.parse(fs.readFileSync(filename));
+                return data.features ? FaceFeatures.from(data.features) : null;
+            }
+            catch (err) {
+                debug(`Ignoring cached features ${filename}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Store features of an image.
+     *
+     * @param {Uint8Array} img Face image
+     * @param {string} name Extractor id
+     * @param {object} signature Extraction signature
+     * @param {FaceFeatures|null} features Extracted features
+     */
+    set(img, name, signature, features) {
+        const filename = this.getFilename(img, name, signature);
+        const tmp = `${filename}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(filename), {recursive: true});
+            fs.writeFileSync(tmp, JSON.stringify({features: features ? {...features} : null}));
+            fs.renameSync(tmp, filename);
+        }
+        catch (err) {
+            debug(`Unable to cache features ${filename}: ${err.message}`);
+        }
+    }
+
+    /**
+     * Get cache file name of an image.
+     *
+     * @param {Uint8Array} img Face image
+     * @param {string} name Extractor id
+     * @param {object} signature Extraction signature
+     * @returns {string}
+     */
+    getFilename(img, name, signature) {
+        const dir = this.getDir(name, signature);
+        const hash = this.constructor.hash(img);
+        return path.join(dir, hash.substr(0, 2), `${hash}.json`);
+    }
+
+    /**
+     * Get cache directory of a signature, its modification time is updated
+     * on use at most once per `TOUCH_INTERVAL` so unused signatures can be
+     * pruned by age.
+     *
+     * @param {string} name Extractor id
+     * @param {object} signature Extraction signature
+     * @returns {string}
+     */
+    getDir(name, signature) {
+        const parent = path.join(this.dir, name.replace(/[^a-zA-Z0-9_\-]/g, '-'));
+        const key = this.constructor.hash(JSON.stringify(signature)).substr(0, 16);
+        const dir = path.join(parent, key);
+        if (this.used[dir] === undefined || Date.now() - this.used[dir] > this.constructor.TOUCH_INTERVAL) {
+            this.used[dir] = Date.now();
+            try {
+                const now = new Date();
+                fs.mkdirSync(dir, {recursive: true});
+                fs.utimesSync(dir, now, now);
+            }
+            catch (err) {
+                debug(`Unable to update cache directory ${dir}: ${err.message}`);
+            }
+        }
+        return dir;
+    }
+
+    /**
+     * Remove unused cache directories of other signatures.
+     *
+     * Only signature directories of the kept directories extractors are
+     * considered, a directory is removed when it is unused for `maxAge`,
+     * which must be at least twice of `TOUCH_INTERVAL`, so directories in
+     * use by other processes are kept.
+     *
+     * @param {object} options Prune options
+     * @param {string[]} options.keep Signature directories to keep, see `getDir()`
+     * @param {number} options.maxAge Only remove directories unused for the milliseconds, default to 7 days
+     * @returns {string[]} Removed directories
+     * @throws {FaceError}
+     */
+    prune(options = null) {
+        options = options || {};
+        const keep = (options.keep || []).map(dir => path.resolve(dir));
+        const maxAge = options.maxAge ?? this.constructor.MAX_AGE;
+        if (!(maxAge >= 2 * this.constructor.TOUCH_INTERVAL)) {
+            throw new FaceError(`Cache prune age must be at least ${2 * this.constructor.TOUCH_INTERVAL} ms!`, 'INVALID_OPTION');
+        }
+        const res = [];
+        for (const parent of new Set(keep.map(dir => path.dirname(dir)))) {
+            if (fs.existsSync(parent)) {
+                for (const d of fs.readdirSync(parent, {withFileTypes: true})) {
+                    const dir = path.join(parent, d.name);
+                    if (d.isDirectory() && !keep.includes(dir) && Date.now() - fs.statSync(dir).mtimeMs > maxAge) {
+                        fs.rmSync(dir, {recursive: true, force: true});
+                        delete this.used[dir];
+                        res.push(dir);
+                    }
+                }
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Compute SHA-256 hash.
+     *
+     * @param {string|Uint8Array} data Data
+     * @returns {string}
+     */
+    static hash(data) {
+        return crypto.createHash('sha256').update(data).digest('hex');
+    }
+
+    /**
+     * Get shared cache instance of a directory.
+     *
+     * @param {string} dir Cache directory
+     * @returns {FeatureCache}
+     */
+    static get(dir) {
+        if (this._instances === undefined) {
+            this._instances = {};
+        }
+        if (this._instances[dir] === undefined) {
+            this._instances[dir] = new this(dir);
+        }
+        return this._instances[dir];
+    }
+}
+
+module.exports = FeatureCache;
\ No newline at end of file
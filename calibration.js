@@ -0,0 +1,236 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('identity:face-ng:calibration');
+
+/**
+ * Match threshold calibration using labelled genuine and impostor pairs.
+ *
+ * The calibrated confidence of a distance is the probability that an
+ * impostor pair has a larger distance, i.e. `1 - FAR` at that distance.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class Calibration {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} params Calibration data
+     * @param {number[]} params.genuine Genuine pair distances
+     * @param {number[]} params.impostor Impostor pair distances
+     * @param {number} params.threshold Operating threshold
+     */
+    constructor({genuine, impostor, threshold}) {
+        this.genuine = [...(genuine || [])].sort((a, b) => a - b);
+        this.impostor = [...(impostor || [])].sort((a, b) => a - b);
+        if (!this.impostor.length) {
+            throw new Error('Calibration requires impostor pairs!');
+        }
+        this.threshold = threshold;
+    }
+
+    /**
+     * Count sorted values less than value.
+     *
+     * @param {number[]} values Sorted values
+     * @param {number} value Value
+     * @returns {number}
+     */
+    countBelow(values, value) {
+        let lo = 0, hi = values.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (values[mid] < value) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    /**
+     * Get false accept rate at threshold.
+     *
+     * @param {number} threshold Distance threshold
+     * @returns {number}
+     */
+    far(threshold) {
+        return this.countBelow(this.impostor, threshold) / this.impostor.length;
+    }
+
+    /**
+     * Get false reject rate at threshold.
+     *
+     * @param {number} threshold Distance threshold
+     * @returns {number}
+     */
+    frr(threshold) {
+        if (this.genuine.length) {
+            return 1 - this.countBelow(this.genuine, threshold) / this.genuine.length;
+        }
+    }
+
+    /**
+     * Get FAR and FRR curve.
+     *
+     * @param {number} steps Number of thresholds
+     * @returns {object[]}
+     */
+    curve(steps = 100) {
+        const res = [];
+        steps = Math.max(1, parseInt(steps) || 1);
+        // both distances are sorted
+        const min = this.genuine.length ? Math.min(this.genuine[0], this.impostor[0]) : this.impostor[0];
+        const max = this.genuine.length ? Math.max(this.genuine[this.genuine.length - 1],
+            this.impostor[this.impostor.length - 1]) : this.impostor[this.impostor.length - 1];
+        for (let i = 0; i <= steps; i++) {
+            const threshold = min + (max - min) * i / steps;
+            res.push({threshold, far: this.far(threshold), frr: this.frr(threshold)});
+        }
+        return res;
+    }
+
+    /**
+     * Pick the largest threshold which false accept rate does not exceed
+     * the target.
+     *
+     * @param {number} targetFar Target false accept rate
+     * @returns {number}
+     */
+    pick(targetFar) {
+        // accepting distance below the n-th impostor distance yields n false accepts
+        const n = Math.floor(targetFar * this.impostor.length);
+        this.threshold = n < this.impostor.length ? this.impostor[n] : this.impostor[this.impostor.length - 1];
+        return this.threshold;
+    }
+
+    /**
+     * Get equal error rate.
+     *
+     * @returns {object|undefined}
+     */
+    eer() {
+        if (this.genuine.length) {
+            let res;
+            for (const threshold of [...this.genuine, ...this.impostor]) {
+                const far = this.far(threshold);
+                const frr = this.frr(threshold);
+                if (res === undefined || Math.abs(far - frr) < Math.abs(res.far - res.frr)) {
+                    res = {threshold, far, frr, rate: (far + frr) / 2};
+                }
+            }
+            return res;
+        }
+    }
+
+    /**
+     * Map distance into calibrated confidence.
+     *
+     * @param {number} distance Distance
+     * @returns {number}
+     */
+    confidence(distance) {
+        return 1 - this.far(distance);
+    }
+
+    /**
+     * Get compact calibration data to be forwarded to workers, impostor
+     * distances are reduced into quantiles.
+     *
+     * @param {number} size Quantiles size
+     * @returns {object}
+     */
+    toJSON(size = 1000) {
+        let impostor = this.impostor;
+        if (impostor.length > size) {
+            impostor = [];
+            for (let i = 0; i < size; i++) {
+                impostor.push(this.impostor[Math.floor(i * this.impostor.length / size)]);
+            }
+        }
+        return {threshold: this.threshold, impostor};
+    }
+
+    /**
+     * Create calibration from pairs.
+     *
+     * @param {object[]} pairs Pairs of `{distance, genuine}`
+     * @returns {Calibration}
+     */
+    static fromPairs(pairs) {
+        const genuine = [], impostor = [];
+        for (const pair of pairs) {
+            (pair.genuine ? genuine : impostor).push(pair.distance);
+        }
+        return new this({genuine, impostor});
+    }
+
+    static from(data) {
+        return data instanceof Calibration ? data : new this(data);
+    }
+
+    /**
+     * Save calibrations to file.
+     *
+     * @param {string} filename File name
+     * @param {object} calibrations Calibrations keyed by calibration key
+     */
+    static save(filename, calibrations) {
+        const tmp = `${filename}.tmp`;
+        const data = {};
+        for (const [k, v] of Object.entries(calibrations)) {
+            data[k] = v.toJSON();
+        }
+        fs.mkdirSync(path.dirname(filename), {recursive: true});
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, filename);
+    }
+
+    /**
+     * Load calibrations from file.
+     *
+     * @param {string} filename File name
+     * @returns {object} Calibrations keyed by calibration key
+     */
+    static load(filename) {
+        const res = {};
+        if (fs.existsSync(filename)) {
+            try {
+                for (const [k, v] of Object.entries(JSON.parse(fs.readFileSync(filename)))) {
+                    res[k] = this.from(v);
+                }
+            }
+            catch (err) {
+                debug(`Unable to load calibration ${filename}: ${err.message}`);
+            }
+        }
+        return res;
+    }
+}
+
+module.exports = Calibration;
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const FaceQuality = require('./quality');
+const { FaceError } = require('./errors');
+
+/**
+ * Active liveness challenge over a sequence of frames.
+ *
+ * Supported challenges:
+ * - `blink`, eyes closed then opened again
+ * - `turn-left`, `turn-right`, head turned to subject's left or right
+ * - `open-mouth`, mouth opened then closed again
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceChallenge {
+
+    static CHALLENGES = ['blink', 'turn-left', 'turn-right', 'open-mouth']
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {number} options.blinkRatio Eye aspect ratio relative to open eyes considered as closed
+     * @param {number} options.turnAngle Minimum yaw angle in degrees of a head turn
+     * @param {number} options.mouthRatio Minimum mouth opening ratio change
+     * @param {boolean} options.mirrored Whether frames are mirrored, e.g. from a front camera preview
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.blinkRatio = this.options.blinkRatio ?? 0.6;
+        this.turnAngle = this.options.turnAngle ?? 20;
+        this.mouthRatio = this.options.mouthRatio ?? 0.25;
+        this.mirrored = this.options.mirrored ?? false;
+    }
+
+    /**
+     * Measure face metrics of a frame.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @returns {object}
+     */
+    measure(face) {
+        const res = {
+            ear: FaceQuality.getEyeOpenness(face),
+            mar: this.getMouthOpening(face),
+        }
+        if (face.pose) {
+            Object.assign(res, face.pose);
+        }
+        return res;
+    }
+
+    /**
+     * Get mouth opening ratio, inner lips height relative to mouth width.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @returns {number|undefined}
+     */
+    getMouthOpening(face) {
+        const points = face.points ? face.points.points : [];
+        // upper inner lip, lower inner lip, inner mouth corners
+        const [upper, lower, left, right] = [13, 14, 78, 308].map(i => points[i]);
+        if (upper && lower && left && right) {
+            const d = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+            const width = d(left, right);
+            if (width > 0) {
+                return d(upper, lower) / width;
+            }
+        }
+    }
+
+    /**
+     * Evaluate challenges over measured frames.
+     *
+     * @param {Array<object|null>} metrics Frame metrics, null for frame without face
+     * @param {string[]} challenges Requested challenges
+     * @returns {object}
+     * @throws {FaceError}
+     */
+    evaluate(metrics, challenges) {
+        const frames = metrics
+            .map((m, index) => m ? {...m, index} : null)
+            .filter(m => m);
+        const values = key => frames.filter(m => typeof m[key] === 'number').map(m => m[key]);
+        const median = arr => {
+            const sorted = [...arr].sort((a, b) => a - b);
+            return sorted.length ? sorted[Math.floor(sorted.length / 2)] : undefined;
+        }
+        const ears = values('ear');
+        const mars = values('mar');
+        const openEar = median(ears);
+        const passed = {};
+        for (const challenge of challenges) {
+            switch (challenge) {
+                case 'blink':
+                    passed[challenge] = this.isBlink(ears, openEar);
+                    break;
+                case 'turn-left':
+                case 'turn-right':
+                    passed[challenge] = this.isTurn(values('yaw'), challenge === 'turn-left' ? -1 : 1);
+                    break;
+                case 'open-mouth':
+                    passed[challenge] = this.isMouthOpen(mars);
+                    break;
+                default:
+                    throw new FaceError(`Unsupported challenge ${challenge}!`, 'INVALID_OPTION');
+            }
+        }
+        const res = {
+            success: challenges.length > 0 && Object.values(passed).every(v => v),
+            passed,
+        }
+        const best = this.getBestFrame(frames, openEar, median(mars));
+        if (best !== undefined) {
+            res.frame = best;
+        }
+        return res;
+    }
+
+    isBlink(ears, openEar) {
+        if (openEar) {
+            const closed = ears.findIndex(ear => ear < openEar * this.blinkRatio);
+            return closed >= 0 && ears.slice(closed + 1).some(ear => ear >= openEar * 0.85);
+        }
+        return false;
+    }
+
+    isTurn(yaws, direction) {
+        // turning to subject's left moves the nose to image right which is negative yaw
+        const sign = this.mirrored ? -direction : direction;
+        return yaws.some(yaw => yaw * sign >= this.turnAngle);
+    }
+
+    isMouthOpen(mars) {
+        if (mars.length > 1) {
+            const opened = mars.findIndex(mar => mar - Math.min(...mars) >= this.mouthRatio);
+            return opened >= 0 && mars.slice(opened + 1).some(mar => mars[opened] - mar >= this.mouthRatio);
+        }
+        return false;
+    }
+
+    /**
+     * Get the most frontal frame with eyes open and mouth closed.
+     *
+     * @param {object[]} frames Frame metrics
+     * @param {number} openEar Open eyes aspect ratio
+     * @param {number} mar Typical mouth opening ratio
+     * @returns {number|undefined} Frame index
+     */
+    getBestFrame(frames, openEar, mar) {
+        let best, score;
+        for (const m of frames) {
+            let s = 0;
+            s -= (Math.abs(m.yaw ?? 0) + Math.abs(m.pitch ?? 0) + Math.abs(m.roll ?? 0)) / 45;
+            if (openEar && m.ear !== undefined) {
+                s -= Math.max(0, 1 - m.ear / openEar);
+            }
+            if (mar !== undefined && m.mar !== undefined) {
+                s -= Math.max(0, m.mar - mar);
+            }
+            if (score === undefined || s > score) {
+                score = s;
+                best = m.index;
+            }
+        }
+        return best;
+    }
+}
+
+module.exports = FaceChallenge;
\ No newline at end of file
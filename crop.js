@@ -0,0 +1,185 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const tf = require('@tensorflow/tfjs-node');
+const sharp = require('sharp');
+
+/**
+ * Provides face crops and annotated preview of a detected face.
+ *
+ * All coordinates refer to the detected face image, see `FaceLandmark.image`.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceCrop {
+
+    /**
+     * Get face box expanded by padding and clamped to image bounds.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {number} padding Padding relative to box size
+     * @returns {object}
+     */
+    static getBox(face, padding = 0) {
+        const [height, width] = face.shape;
+        const px = face.box.width * padding;
+        const py = face.box.height * padding;
+        const left = Math.max(0, Math.floor(face.box.xMin - px));
+        const top = Math.max(0, Math.floor(face.box.yMin - py));
+        const right = Math.min(width, Math.ceil(face.box.xMin + face.box.width + px));
+        const bottom = Math.min(height, Math.ceil(face.box.yMin + face.box.height + py));
+        return {left, top, width: Math.max(0, right - left), height: Math.max(0, bottom - top)};
+    }
+
+    /**
+     * Crop face box.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {object} options Crop options
+     * @param {number} options.padding Padding relative to box size, default to 0
+     * @param {number} options.size Resize longest side to size
+     * @returns {Promise<Buffer>}
+     */
+    static async crop(face, options = null) {
+        options = options || {};
+        const box = this.getBox(face, options.padding ?? 0);
+        const img = sharp(face.image);
+        if (box.width > 0 && box.height > 0) {
+            img.extract(box);
+            if (options.size) {
+                const scale = options.size / Math.max(box.width, box.height);
+                img.resize(Math.ceil(box.width * scale), Math.ceil(box.height * scale));
+            }
+        }
+        return await img.toBuffer();
+    }
+
+    /**
+     * Get projective transform which maps eye aligned square crop into
+     * source image.
+     *
+     * The crop is centered on the face box, padded, and shrunk or shifted
+     * to stay within image bounds.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {number} size Crop size
+     * @param {number} padding Padding relative to box size
+     * @returns {number[]|undefined}
+     */
+    static getAlignedTransform(face, size, padding) {
+        const eyes = face.getEyeCenters();
+        if (eyes) {
+            const [height, width] = face.shape;
+            const [right, left] = eyes;
+            const dx = left.x - right.x;
+            const dy = left.y - right.y;
+            const d = Math.sqrt(dx * dx + dy * dy);
+            if (d > 0) {
+                const c = dx / d;
+                const s = dy / d;
+                const side = Math.min(Math.max(face.box.width, face.box.height) * (1 + 2 * padding), width, height);
+                const clamp = (v, max) => Math.max(side / 2, Math.min(max - side / 2, v));
+                const cx = clamp(face.box.xMin + face.box.width / 2, width);
+                const cy = clamp(face.box.yMin + face.box.height / 2, height);
+                const m = side / size;
+                const half = size / 2;
+                return [
+                    m * c, -m * s, cx - m * c * half + m * s * half,
+                    m * s, m * c, cy - m * s * half - m * c * half,
+                    0, 0,
+                ];
+            }
+        }
+    }
+
+    /**
+     * Crop eye aligned face.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {object} options Crop options
+     * @param {number} options.padding Padding relative to box size, default to 0.25
+     * @param {number} options.size Crop size, default to 224
+     * @returns {Promise<Buffer|undefined>}
+     */
+    static async aligned(face, options = null) {
+        options = options || {};
+        const size = options.size ?? 224;
+        const transform = this.getAlignedTransform(face, size, options.padding ?? 0.25);
+        if (transform) {
+            const crop = tf.tidy(() => {
+                const image = tf.node.decodeImage(face.image, 3).toFloat().expandDims(0);
+                return tf.image.transform(image, [transform], 'bilinear', 'constant', 0, [size, size])
+                    .squeeze([0])
+                    .round()
+                    .clipByValue(0, 255)
+                    .toInt();
+            });
+            try {
+                const data = Buffer.from(await crop.data());
+                return await sharp(data, {raw: {width: size, height: size, channels: 3}})
+                    .png()
+                    .toBuffer();
+            }
+            finally {
+                tf.dispose(crop);
+            }
+        }
+    }
+
+    /**
+     * Draw face box and mesh over the image.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {object} options Preview options
+     * @param {number} options.size Resize longest side to size, default to 640
+     * @param {string} options.color Drawing color, default to lime
+     * @returns {Promise<Buffer>}
+     */
+    static async preview(face, options = null) {
+        options = options || {};
+        const [height, width] = face.shape;
+        const color = /^#?\w+$/.test(options.color ?? '') ? options.color : 'lime';
+        const stroke = Math.max(1, Math.round(Math.max(width, height) / 400));
+        const r = v => Math.round(v * 10) / 10;
+        const shapes = [
+            `<rect x="${r(face.box.xMin)}" y="${r(face.box.yMin)}" width="${r(face.box.width)}" height="${r(face.box.height)}" ` +
+                `fill="none" stroke="${color}" stroke-width="${stroke}"/>`,
+        ];
+        for (const p of face.keypoints) {
+            shapes.push(`<circle cx="${r(p.x)}" cy="${r(p.y)}" r="${stroke}" fill="${color}"/>`);
+        }
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`;
+        const annotated = await sharp(face.image)
+            .composite([{input: Buffer.from(svg), top: 0, left: 0}])
+            .png()
+            .toBuffer();
+        const size = options.size ?? 640;
+        return await sharp(annotated)
+            .resize(size, size, {fit: 'inside', withoutEnlargement: true})
+            .jpeg()
+            .toBuffer();
+    }
+}
+
+module.exports = FaceCrop;
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Base error of face identity.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} message Error message
+     * @param {string} code Error code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+
+    /**
+     * Get error result to be returned to the caller.
+     *
+     * @returns {object}
+     */
+    toResult() {
+        return {error: this.message, code: this.code};
+    }
+}
+
+/**
+ * Face template error, raised when template is corrupt or mismatched.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceTemplateError extends FaceError {
+}
+
+/**
+ * Face quality error, raised when face capture quality is below the limits.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceQualityError extends FaceError {
+
+    toResult() {
+        return {...super.toResult(), quality: this.quality};
+    }
+}
+
+/**
+ * Face image error, raised when input image can't be used for detection.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceImageError extends FaceError {
+}
+
+/**
+ * Face liveness error, raised when face is suspected as a presentation attack.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceLivenessError extends FaceError {
+
+    toResult() {
+        return {...super.toResult(), liveness: this.liveness};
+    }
+}
+
+module.exports = {
+    FaceError,
+    FaceTemplateError,
+    FaceQualityError,
+    FaceImageError,
+    FaceLivenessError,
+}
\ No newline at end of file
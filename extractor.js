@@ -0,0 +1,384 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
+const { FaceLandmark, FaceFeatures } = require('./face');
+const { FaceError } = require('./errors');
+const LocalModel = require('./model');
+
+/**
+ * Base class of face features extractor.
+ *
+ * An extractor turns a detected face into comparable face features. The
+ * extractor id is recorded in the features, so features produced by
+ * different extractors are never compared.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FeatureExtractor {
+
+    static threshold = 0.15
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.threshold = this.options.threshold ?? this.constructor.threshold;
+    }
+
+    /**
+     * Get extractor id which is recorded in the produced features.
+     *
+     * @property {string}
+     */
+    get id() {
+        return this.constructor.id;
+    }
+
+    /**
+     * Get extractor signature which changes when produced features may
+     * change, e.g. different model or markers.
+     *
+     * @returns {object}
+     */
+    getSignature() {
+        return {id: this.id};
+    }
+
+    /**
+     * Extract features of a face.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {string|Buffer} img Face image data
+     * @returns {Promise<FaceFeatures>}
+     */
+    async extract(face, img) {
+        throw new Error('Extractor must implement extract()!');
+    }
+
+    /**
+     * Register an extractor.
+     *
+     * @param {typeof FeatureExtractor} extractor Extractor class
+     */
+    static register(extractor) {
+        if (this._extractors === undefined) {
+            this._extractors = {};
+        }
+        this._extractors[extractor.id] = extractor;
+    }
+
+    /**
+     * Create or reuse an extractor.
+     *
+     * The extractor can be specified using its id optionally followed by
+     * a variation, e.g. `embedding:mobilefacenet`, or an object with `name`
+     * and extractor options.
+     *
+     * @param {string|object} spec Extractor spec
+     * @returns {FeatureExtractor}
+     */
+    static get(spec) {
+        let options = {};
+        if (spec && typeof spec === 'object') {
+            ({name: spec, ...options} = spec);
+        }
+        const [name, variation] = (spec || LandmarkFeatureExtractor.id).split(':');
+        if (variation) {
+            options.variation = variation;
+        }
+        const extractor = this._extractors[name];
+        if (extractor === undefined) {
+            throw new Error(`Feature extractor ${name} is not exist!`);
+        }
+        if (this._instances === undefined) {
+            this._instances = {};
+        }
+        const key = [name, JSON.stringify(options)].join('|');
+        if (this._instances[key] === undefined) {
+            this._instances[key] = new extractor(options);
+        }
+        return this._instances[key];
+    }
+}
+
+/**
+ * Extract features from face landmarks geometry.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class LandmarkFeatureExtractor extends FeatureExtractor {
+
+    static id = 'landmark'
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {string[]|object} options.markers Markers to use, names or an object of name and enabled state
+     */
+    constructor(options) {
+        super(options);
+        let markers = this.options.markers;
+        if (markers && !Array.isArray(markers)) {
+            markers = Object.keys(markers).filter(k => markers[k]);
+        }
+        this.markers = markers ?? null;
+    }
+
+    /**
+     * Landmarks are aligned into frontal frame, features recorded without
+     * extractor are unaligned and must not be compared with them.
+     *
+     * @property {string}
+     */
+    get id() {
+        return [this.constructor.id, 'aligned'].join(':');
+    }
+
+    getSignature() {
+        return {...super.getSignature(), markers: this.markers ?? FaceLandmark.MARKERS};
+    }
+
+    async extract(face, img) {
+        const features = face.getFeatures(this.markers);
+        features.extractor = this.id;
+        return features;
+    }
+}
+
+/**
+ * Extract expression insensitive features from rigid face mesh anchors.
+ *
+ * Mouth, jaw, eyelids and eyebrows move with expression, so only the eye
+ * corners, nose, forehead and cheekbones are used. The features are the
+ * distances between each anchors pair of the aligned mesh relative to the
+ * inter-pupillary distance.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class RigidFeatureExtractor extends FeatureExtractor {
+
+    static id = 'rigid'
+    static threshold = 0.25
+
+    /**
+     * Rigid face mesh keypoint indices.
+     *
+     * @type {number[]}
+     */
+    static ANCHORS = [
+        // eye corners, right outer, right inner, left inner, left outer
+        33, 133, 362, 263,
+        // nose bridge, dorsum, tip, base, and wings
+        168, 6, 197, 195, 5, 4, 1, 2, 98, 327,
+        // glabella and forehead
+        9, 151, 10,
+        // cheekbones and temples
+        234, 454, 127, 356, 93, 323,
+    ]
+
+    constructor(options) {
+        super(options);
+        this.anchors = this.options.anchors ?? this.constructor.ANCHORS;
+    }
+
+    getSignature() {
+        return {...super.getSignature(), anchors: this.anchors};
+    }
+
+    async extract(face, img) {
+        const points = face.points.points;
+        const anchors = this.anchors.map(i => points[i]);
+        if (anchors.every(p => p)) {
+            const center = (a, b) => ({x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z ?? 0) + (b.z ?? 0)) / 2});
+            const d = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2 + ((a.z ?? 0) - (b.z ?? 0)) ** 2);
+            const ipd = d(center(points[33], points[133]), center(points[362], points[263]));
+            if (ipd > 0) {
+                const ratios = [];
+                for (let i = 0; i < anchors.length; i++) {
+                    for (let j = i + 1; j < anchors.length; j++) {
+                        ratios.push(d(anchors[i], anchors[j]) / ipd);
+                    }
+                }
+                const features = new FaceFeatures();
+                features.extractor = this.id;
+                features.add('ratios', ratios);
+                return features;
+            }
+        }
+    }
+}
+
+/**
+ * Extract features using a face embedding model, e.g. MobileFaceNet, which
+ * is loaded from local model directory.
+ *
+ * The model is run on an eye aligned face crop and produces a fixed length
+ * L2 normalized vector. No embedding model is bundled, so the variation must
+ * be specified, e.g. `embedding:mobilefacenet`, and the model must be placed
+ * in one of the model directories.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class EmbeddingFeatureExtractor extends FeatureExtractor {
+
+    static id = 'embedding'
+    static threshold = 1.1
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {string} options.model Embedding model name, default to face-embedding
+     * @param {string} options.variation Embedding model variation
+     * @param {number} options.size Model input size, default to 112
+     * @param {string} options.tfjsBackend Tensorflow backend, default to cpu
+     * @throws {FaceError}
+     */
+    constructor(options) {
+        super(options);
+        this.model = this.options.model ?? 'face-embedding';
+        this.variation = this.options.variation;
+        this.size = this.options.size ?? 112;
+        this.tfjsBackend = this.options.tfjsBackend ?? 'cpu';
+        if (!this.variation) {
+            throw new FaceError('Embedding extractor requires model variation, e.g. embedding:mobilefacenet!',
+                'INVALID_OPTION');
+        }
+        if (LocalModel.getFilename(this.model, this.variation) === undefined) {
+            throw new FaceError(`Embedding model ${this.model} with variation ${this.variation} is not found!`,
+                'MODEL');
+        }
+    }
+
+    get id() {
+        return [this.constructor.id, this.variation].join(':');
+    }
+
+    getSignature() {
+        const filename = LocalModel.getFilename(this.model, this.variation);
+        return {
+            ...super.getSignature(),
+            model: filename ? path.basename(filename) : [this.model, this.variation].join('/'),
+            size: this.size,
+        }
+    }
+
+    /**
+     * Load embedding graph model.
+     *
+     * @returns {Promise<tf.GraphModel>}
+     */
+    async getModel() {
+        if (this.graph === undefined) {
+            this.graph = await tf.loadGraphModel(await LocalModel.create(this.model, this.variation));
+        }
+        return this.graph;
+    }
+
+    /**
+     * Get projective transform which maps aligned crop into source image.
+     *
+     * Eyes are placed horizontally with the crop size about three times
+     * of the inter eyes distance.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @returns {number[]|undefined}
+     */
+    getTransform(face) {
+        const eyes = face.getEyeCenters();
+        if (eyes) {
+            const [right, left] = eyes;
+            const dx = left.x - right.x;
+            const dy = left.y - right.y;
+            const d = Math.sqrt(dx * dx + dy * dy);
+            if (d > 0) {
+                const c = dx / d;
+                const s = dy / d;
+                const m = d * 3.2 / this.size;
+                const half = this.size / 2;
+                // crop center is slightly below the eyes
+                const cx = (left.x + right.x) / 2 - s * d * 0.125;
+                const cy = (left.y + right.y) / 2 + c * d * 0.125;
+                return [
+                    m * c, -m * s, cx - m * c * half + m * s * half,
+                    m * s, m * c, cy - m * s * half - m * c * half,
+                    0, 0,
+                ];
+            }
+        }
+    }
+
+    async extract(face, img) {
+        let res, backend;
+        const transform = this.getTransform(face);
+        if (transform) {
+            const model = await this.getModel();
+            if (typeof img === 'string' && fs.existsSync(img)) {
+                img = fs.readFileSync(img);
+            }
+            if (this.tfjsBackend && this.tfjsBackend !== tf.getBackend()) {
+                backend = tf.getBackend();
+                await tf.setBackend(this.tfjsBackend);
+            }
+            try {
+                const embedding = tf.tidy(() => {
+                    const image = tf.node.decodeImage(img, 3).toFloat().expandDims(0);
+                    const crop = tf.image.transform(image, [transform], 'bilinear', 'constant', 0,
+                        [this.size, this.size]);
+                    const output = model.predict(crop.sub(127.5).div(128));
+                    const vector = (Array.isArray(output) ? output[0] : output).flatten();
+                    return vector.div(vector.norm().maximum(1e-10));
+                });
+                res = new FaceFeatures();
+                res.extractor = this.id;
+                res.add('embedding', Array.from(await embedding.data()));
+                tf.dispose(embedding);
+            }
+            finally {
+                if (backend) {
+                    await tf.setBackend(backend);
+                }
+            }
+        }
+        return res;
+    }
+}
+
+FeatureExtractor.register(LandmarkFeatureExtractor);
+FeatureExtractor.register(RigidFeatureExtractor);
+FeatureExtractor.register(EmbeddingFeatureExtractor);
+
+module.exports = {
+    FeatureExtractor,
+    LandmarkFeatureExtractor,
+    RigidFeatureExtractor,
+    EmbeddingFeatureExtractor,
+}
\ No newline at end of file
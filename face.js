@@ -22,10 +22,20 @@
  * SOFTWARE.
  */
 
-const fs = require('fs');
+const path = require('path');
 const tf = require('@tensorflow/tfjs-node');
+const faceDetection = require('@tensorflow-models/face-detection');
+// suppression threshold is only configurable through this private module,
+// the dependency is pinned to the version which reads it on each detection
+const faceDetectionConstants = require('@tensorflow-models/face-detection/dist/tfjs/constants');
 const faceLandmarksDetection = require('@tensorflow-models/face-landmarks-detection');
+const FaceAlignment = require('./align');
+const FaceImage = require('./image');
+const FaceSelector = require('./selector');
+const FaceTemplate = require('./template');
+const { FeatureMetric } = require('./metric');
 const LocalModel = require('./model');
+const { FaceError, FaceTemplateError } = require('./errors');
 
 /**
  * Provides face landmarks detection.
@@ -34,16 +44,68 @@ const LocalModel = require('./model');
  */
 class FaceDetection {
 
+    static MODELS = ['short', 'full']
+
     /**
      * Constructor.
      *
      * @param {object} options Options
+     * @param {string} options.model Face detection model, `short` for faces within 2 meters or `full` for distant faces
+     * @param {boolean} options.refineLandmarks Detect iris landmarks, default to true
+     * @param {string} options.tfjsBackend Tensorflow backend, default to cpu
+     * @param {number} options.maxFaces Maximum number of detected faces, default to 1
+     * @param {number} options.scoreThreshold Minimum face detection score
+     * @param {number} options.iouThreshold Overlapping face detections suppression threshold
+     * @param {number} options.maxSize Maximum working image size, default to 1280
+     * @param {number} options.maxPixels Maximum input image pixels
+     * @param {boolean|object} options.fallback Retry detection when no face found, see `getFallbacks()`
+     * @param {boolean} options.tracking Keep landmarks between frames of a stream, the detector must not be shared
+     * @throws {FaceError}
      */
     constructor(options) {
         options = options || {};
+        this.model = options.model ?? 'short';
+        if (!this.constructor.MODELS.includes(this.model)) {
+            throw new FaceError(`Face detection model ${this.model} is not supported!`, 'INVALID_OPTION');
+        }
         this.refineLandmarks = options.refineLandmarks !== undefined ?
             options.refineLandmarks : true;
         this.tfjsBackend = options.tfjsBackend ?? 'cpu';
+        this.maxFaces = options.maxFaces ?? 1;
+        this.scoreThreshold = options.scoreThreshold ?? null;
+        this.iouThreshold = options.iouThreshold ?? null;
+        this.maxSize = options.maxSize ?? FaceImage.MAX_SIZE;
+        this.maxPixels = options.maxPixels ?? null;
+        this.fallback = options.fallback ?? false;
+        this.tracking = options.tracking ?? false;
+    }
+
+    /**
+     * Get detection options which can be used to create identical detector.
+     *
+     * @returns {object}
+     */
+    getOptions() {
+        const res = {
+            model: this.model,
+            refineLandmarks: this.refineLandmarks,
+            tfjsBackend: this.tfjsBackend,
+            maxFaces: this.maxFaces,
+            maxSize: this.maxSize,
+        }
+        if (this.scoreThreshold !== null) {
+            res.scoreThreshold = this.scoreThreshold;
+        }
+        if (this.iouThreshold !== null) {
+            res.iouThreshold = this.iouThreshold;
+        }
+        if (this.maxPixels !== null) {
+            res.maxPixels = this.maxPixels;
+        }
+        if (this.fallback) {
+            res.fallback = this.fallback;
+        }
+        return res;
     }
 
     /**
@@ -52,17 +114,47 @@ class FaceDetection {
      * @returns {Promise<object>}
      */
     async getConfig() {
-        const faceDetectionModel = await LocalModel.create('face-detection', 'short');
+        const faceDetectionModel = await LocalModel.create('face-detection', this.model);
         const faceLandmarkModel = await LocalModel.create('face-landmarks-detection',
             this.refineLandmarks ? 'attention-mesh' : 'face-mesh');
         return {
             runtime: 'tfjs',
             refineLandmarks: this.refineLandmarks,
+            maxFaces: this.maxFaces,
             detectorModelUrl: faceDetectionModel,
             landmarkModelUrl: faceLandmarkModel,
         }
     }
 
+    /**
+     * Get detector signature which identifies models and options affecting
+     * detected landmarks.
+     *
+     * @returns {object}
+     */
+    getSignature() {
+        const model = (name, variation) => {
+            const filename = LocalModel.getFilename(name, variation);
+            return filename ? path.basename(filename) : [name, variation].join('/');
+        }
+        const res = {
+            detector: model('face-detection', this.model),
+            landmark: model('face-landmarks-detection', this.refineLandmarks ? 'attention-mesh' : 'face-mesh'),
+            maxFaces: this.maxFaces,
+            maxSize: this.maxSize,
+        }
+        if (this.scoreThreshold !== null) {
+            res.scoreThreshold = this.scoreThreshold;
+        }
+        if (this.iouThreshold !== null) {
+            res.iouThreshold = this.iouThreshold;
+        }
+        if (this.fallback) {
+            res.fallback = this.fallback;
+        }
+        return res;
+    }
+
     /**
      * Create face landmarks detector.
      *
@@ -70,50 +162,396 @@ class FaceDetection {
      */
     async getDetector() {
         const model = faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh;
-        return await faceLandmarksDetection.createDetector(model, await this.getConfig());
+        const config = await this.getConfig();
+        const detector = await faceLandmarksDetection.createDetector(model, config);
+        if (detector.detector) {
+            // face mesh always creates short range face detector, replace it
+            // when full range is requested
+            if (this.model !== 'short') {
+                detector.detector.dispose();
+                detector.detector = await faceDetection.createDetector(
+                    faceDetection.SupportedModels.MediaPipeFaceDetector, {
+                        runtime: config.runtime,
+                        modelType: this.model,
+                        maxFaces: this.maxFaces,
+                        detectorModelUrl: config.detectorModelUrl,
+                    });
+            }
+            if (this.scoreThreshold !== null && detector.detector.tensorsToDetectionConfig) {
+                detector.detector.tensorsToDetectionConfig = {
+                    ...detector.detector.tensorsToDetectionConfig,
+                    minScoreThresh: this.scoreThreshold,
+                }
+            }
+        }
+        // landmarks don't carry detection score, keep face detections to
+        // provide it
+        if (detector.detector && typeof detector.detector.detectFaces === 'function') {
+            const detectFaces = detector.detector.detectFaces.bind(detector.detector);
+            detector.detector.detectFaces = async (...args) => {
+                // suppression threshold is a module constant, only override
+                // it during detection which is exclusive, see estimate()
+                const nms = faceDetectionConstants.DETECTOR_NON_MAX_SUPPRESSION_CONFIG;
+                const iouThreshold = nms.minSuppressionThreshold;
+                if (this.iouThreshold !== null) {
+                    nms.minSuppressionThreshold = this.iouThreshold;
+                }
+                try {
+                    const detections = await detectFaces(...args);
+                    this.detections.push(...detections);
+                    return detections;
+                }
+                finally {
+                    nms.minSuppressionThreshold = iouThreshold;
+                }
+            }
+        }
+        return detector;
     }
 
     /**
-     * Detect faces landmarks.
+     * Assign detection score to faces by matching its box.
      *
-     * @param {string|Buffer} input Face image data
-     * @returns {Promise<object>}
+     * @param {object[]} faces Detected faces
+     * @param {number[]} shape Image shape
      */
-    async getFaces(input) {
-        const res = {};
-        let backend;
-        if (this.detector === undefined) {
-            this.detector = await this.getDetector();
+    applyScores(faces, shape) {
+        const [height, width] = shape;
+        for (const face of faces) {
+            let best = 0;
+            for (const detection of this.detections) {
+                const box = detection.locationData.relativeBoundingBox;
+                const iou = FaceSelector.iou(face.box, {
+                    xMin: box.xMin * width,
+                    yMin: box.yMin * height,
+                    width: box.width * width,
+                    height: box.height * height,
+                });
+                if (iou > best) {
+                    best = iou;
+                    face.score = detection.score[0];
+                }
+            }
         }
-        if (typeof input === 'string' && fs.existsSync(input)) {
-            input = fs.readFileSync(input);
+    }
+
+    /**
+     * Load face landmarks detector once, concurrent callers share the same
+     * loading.
+     *
+     * @returns {Promise<faceLandmarksDetection.FaceLandmarksDetector>}
+     */
+    load() {
+        if (this.loading === undefined) {
+            this.loading = (async () => {
+                const start = Date.now();
+                const memory = tf.memory().numBytes;
+                this.detector = await this.getDetector();
+                this.stats = {loadTime: Date.now() - start, memory: tf.memory().numBytes - memory};
+                return this.detector;
+            })();
+            this.loading.catch(() => delete this.loading);
         }
-        const img = tf.node.decodeImage(input, 3); // needs RGB;
-        try {
-            if (img) {
+        return this.loading;
+    }
+
+    /**
+     * Run a dummy inference so the first detection doesn't pay the graph
+     * initialization cost.
+     *
+     * @returns {Promise<object>}
+     */
+    async warmup() {
+        await this.load();
+        if (this.stats.warmupTime === undefined) {
+            const start = Date.now();
+            const img = tf.zeros([256, 256, 3], 'int32');
+            try {
+                await this.estimate(img);
+            }
+            finally {
+                tf.dispose(img);
+            }
+            this.stats.warmupTime = Date.now() - start;
+        }
+        return this.getStats();
+    }
+
+    /**
+     * Get detector statistic, which includes load and warm up time in
+     * milliseconds and tensors memory in bytes.
+     *
+     * @returns {object}
+     */
+    getStats() {
+        return {...this.getOptions(), ...this.stats};
+    }
+
+    /**
+     * Estimate faces landmarks of an image tensor.
+     *
+     * Estimations are run one at a time in the process, as the backend, the
+     * suppression threshold, the collected detections, and the detector
+     * state are shared by concurrent callers.
+     *
+     * @param {tf.Tensor3D} img Image tensor
+     * @returns {Promise<object[]>}
+     */
+    async estimate(img) {
+        const detector = await this.load();
+        return await this.constructor.exclusive(async () => {
+            let backend;
+            try {
                 if (this.tfjsBackend && this.tfjsBackend !== tf.getBackend()) {
                     backend = tf.getBackend();
                     await tf.setBackend(this.tfjsBackend);
                 }
-                this.detector.reset();
-                const faces = await this.detector.estimateFaces(img, {flipHorizontal: false});
-                if (faces.length) {
-                    res.faces = faces;
-                    res.shape = img.shape;
+                // frames of a stream reuse previous landmarks as region of interest
+                if (!this.tracking) {
+                    detector.reset();
                 }
+                this.detections = [];
+                const faces = await detector.estimateFaces(img, {flipHorizontal: false});
+                this.applyScores(faces, img.shape);
+                return faces;
+            }
+            finally {
+                if (backend) {
+                    await tf.setBackend(backend);
+                }
+            }
+        });
+    }
+
+    /**
+     * Get fallback transforms which are tried in order when no face is
+     * detected.
+     *
+     * Fallback option accepts `rotations`, clockwise angles default to 90,
+     * 180, and 270, `tiles`, the number of overlapping tiles per side
+     * default to 2, and `upscale`, the tile scale relative to the working
+     * copy default to 2. Tiles let small faces, e.g. on scanned ID card,
+     * fill the detector input. Tiles are in oriented image coordinates and
+     * cut from its original resolution.
+     *
+     * @param {FaceImage} image Image
+     * @returns {object[]}
+     */
+    getFallbacks(image) {
+        const res = [];
+        // transformed image would corrupt tracking state
+        if (this.fallback && !this.tracking) {
+            const {rotations = [90, 180, 270], tiles = 2, upscale = 2} = typeof this.fallback === 'object' ?
+                this.fallback : {};
+            for (const rotate of rotations) {
+                if ([90, 180, 270].includes(rotate)) {
+                    res.push({rotate});
+                }
+            }
+            if (tiles > 1) {
+                const {width, height} = image;
+                // tiles overlap by half of its size so a face on the edge is
+                // fully contained by one of them
+                const w = Math.round(width / tiles * 1.5);
+                const h = Math.round(height / tiles * 1.5);
+                for (let row = 0; row < tiles; row++) {
+                    for (let col = 0; col < tiles; col++) {
+                        const x = Math.round(col * (width - w) / (tiles - 1));
+                        const y = Math.round(row * (height - h) / (tiles - 1));
+                        res.push({tile: [x, y, w, h], scale: upscale * image.scale});
+                    }
+                }
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Apply fallback transform to working copy image tensor.
+     *
+     * @param {tf.Tensor3D} img Working copy image tensor
+     * @param {object} transform Transform
+     * @param {FaceImage} image Image
+     * @returns {Promise<tf.Tensor3D>}
+     */
+    async applyTransform(img, transform, image) {
+        if (transform.tile) {
+            return image.toRegionTensor(transform.tile, transform.scale);
+        }
+        return tf.tidy(() => {
+            switch (transform.rotate) {
+                case 90:
+                    return tf.reverse(tf.transpose(img, [1, 0, 2]), 1);
+                case 180:
+                    return tf.reverse(img, [0, 1]);
+                case 270:
+                    return tf.reverse(tf.transpose(img, [1, 0, 2]), 0);
+            }
+        });
+    }
+
+    /**
+     * Map detected face in transformed image back into the working copy
+     * frame.
+     *
+     * @param {object} face Detected face
+     * @param {object} transform Applied transform
+     * @param {number[]} shape Working copy shape
+     * @param {number} scale Working copy scale relative to oriented image
+     * @returns {object}
+     */
+    revertTransform(face, transform, shape, scale = 1) {
+        const [height, width] = shape;
+        let map, zScale = 1;
+        switch (transform.rotate) {
+            case 90:
+                map = p => ({x: p.y, y: height - p.x});
+                break;
+            case 180:
+                map = p => ({x: width - p.x, y: height - p.y});
+                break;
+            case 270:
+                map = p => ({x: width - p.y, y: p.x});
+                break;
+            default: {
+                // tile is in oriented image coordinates
+                const [x, y] = transform.tile;
+                zScale = scale / transform.scale;
+                map = p => ({x: x * scale + p.x * zScale, y: y * scale + p.y * zScale});
+                break;
+            }
+        }
+        const keypoints = face.keypoints.map(p => {
+            const res = {...p, ...map(p)};
+            if (p.z !== undefined) {
+                res.z = p.z * zScale;
+            }
+            return res;
+        });
+        const corners = [
+            map({x: face.box.xMin, y: face.box.yMin}),
+            map({x: face.box.xMax, y: face.box.yMax}),
+        ];
+        const xMin = Math.min(...corners.map(p => p.x));
+        const yMin = Math.min(...corners.map(p => p.y));
+        const xMax = Math.max(...corners.map(p => p.x));
+        const yMax = Math.max(...corners.map(p => p.y));
+        return {
+            ...face,
+            box: {xMin, yMin, xMax, yMax, width: xMax - xMin, height: yMax - yMin},
+            keypoints,
+            transform,
+        }
+    }
+
+    /**
+     * Detect faces landmarks.
+     *
+     * The result `image` is the oriented image which detected faces
+     * coordinates refer to. When a fallback transform was needed, it is
+     * reported as `transform` of the result and each face.
+     *
+     * @param {string|Buffer|FaceImage} input Face image data
+     * @returns {Promise<object>}
+     * @throws {FaceError}
+     */
+    async getFaces(input) {
+        const res = {};
+        const image = input instanceof FaceImage ? input :
+            await FaceImage.load(input, {maxSize: this.maxSize, maxPixels: this.maxPixels});
+        const img = image.toTensor();
+        try {
+            let faces = await this.estimate(img);
+            if (!faces.length) {
+                for (const transform of this.getFallbacks(image)) {
+                    const timg = await this.applyTransform(img, transform, image);
+                    try {
+                        faces = (await this.estimate(timg))
+                            .map(face => this.revertTransform(face, transform, img.shape, image.scale));
+                    }
+                    finally {
+                        tf.dispose(timg);
+                    }
+                    if (faces.length) {
+                        res.transform = transform;
+                        break;
+                    }
+                }
+            }
+            if (faces.length) {
+                res.faces = faces.map(face => image.map(face));
+                res.shape = image.shape;
+                res.image = image.buffer;
             }
         }
         catch (err) {
-            console.error(err);
+            throw new FaceError(`Face detection failed: ${err.message}!`, 'DETECTION');
         }
-        if (img) {
+        finally {
             tf.dispose(img);
         }
-        if (backend) {
-            await tf.setBackend(backend);
+        return res;
+    }
+
+    /**
+     * Release detector models, a pending load is awaited so the models it
+     * loads are released too.
+     *
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        if (this.loading) {
+            // a failed load has nothing to release
+            await this.loading.catch(() => null);
         }
+        if (this.detector) {
+            this.detector.dispose();
+            delete this.detector;
+            delete this.loading;
+        }
+    }
+
+    /**
+     * Get a shared detector for the options, so detectors with identical
+     * options are only loaded once per process.
+     *
+     * @param {object} options Options
+     * @returns {FaceDetection}
+     */
+    static get(options) {
+        const detector = new this(options);
+        const key = JSON.stringify(detector.getOptions());
+        if (this._detectors === undefined) {
+            this._detectors = {};
+        }
+        if (this._detectors[key] === undefined) {
+            this._detectors[key] = detector;
+        }
+        return this._detectors[key];
+    }
+
+    /**
+     * Run callback once previous exclusive callbacks are done.
+     *
+     * @param {Function} callback Async callback
+     * @returns {Promise<any>}
+     */
+    static exclusive(callback) {
+        const res = (FaceDetection._queue || Promise.resolve()).then(callback);
+        FaceDetection._queue = res.catch(() => null);
         return res;
     }
+
+    /**
+     * Get all shared detectors statistic.
+     *
+     * @returns {object[]}
+     */
+    static getStats() {
+        return Object.values(this._detectors || {})
+            .filter(detector => detector.stats)
+            .map(detector => detector.getStats());
+    }
 }
 
 /**
@@ -123,7 +561,7 @@ class FaceDetection {
  */
 class FaceLandmark {
 
-    markers = {
+    static MARKERS = {
         faceOval: false,
         leftEye: true,
         leftEyebrow: false,
@@ -133,13 +571,27 @@ class FaceLandmark {
         rightEyebrow: false,
         rightIris: true,
     }
+
+    markers = {...this.constructor.MARKERS}
     scale = 1
+    // aligned features are recorded as landmark:aligned extractor
+    align = true
 
-    constructor({shape, box, keypoints}) {
+    constructor({shape, box, keypoints, score, image, transform}) {
         if (shape !== undefined && shape !== null) {
             this.shape = shape;
         }
+        if (image !== undefined) {
+            this.image = image;
+        }
+        if (transform !== undefined) {
+            this.transform = transform;
+        }
+        if (score !== undefined) {
+            this.score = score;
+        }
         this.box = box;
+        this.keypoints = keypoints;
         const size = Math.max(this.box.width, this.box.height);
         const scale = this.scale / size;
         this.points = Points.from(keypoints);
@@ -151,6 +603,13 @@ class FaceLandmark {
             yScale: scale,
             zScale: scale,
         });
+        const alignment = this.getAlignment();
+        if (alignment) {
+            this.pose = alignment.pose;
+            if (this.align) {
+                this.points.align(alignment);
+            }
+        }
         for (const key of Object.keys(this.markers)) {
             const points = this.points.getNamed(key);
             if (points.length) {
@@ -159,7 +618,76 @@ class FaceLandmark {
         }
     }
 
-    getFeatures() {
+    /**
+     * Fit landmarks to the reference mesh using eye and iris centers and
+     * face mesh anchors.
+     *
+     * @returns {FaceAlignment|undefined}
+     */
+    getAlignment() {
+        const centers = {};
+        for (const key of ['leftEye', 'leftIris', 'rightEye', 'rightIris']) {
+            const points = this.points.getNamed(key);
+            if (points.length) {
+                centers[key] = new Points(points).getCenter();
+            }
+        }
+        return FaceAlignment.fit(this.points.points, centers);
+    }
+
+    /**
+     * Get right and left eye centers in image coordinates, using iris
+     * center when available.
+     *
+     * @returns {Point[]|undefined}
+     */
+    getEyeCenters() {
+        const res = [];
+        const keypoints = Points.from(this.keypoints);
+        for (const keys of [['rightIris', 'rightEye'], ['leftIris', 'leftEye']]) {
+            for (const key of keys) {
+                const points = keypoints.getNamed(key);
+                if (points.length) {
+                    res.push(new Points(points).getCenter());
+                    break;
+                }
+            }
+        }
+        if (res.length === 2) {
+            return res;
+        }
+    }
+
+    /**
+     * Check if face pose is within allowed angles.
+     *
+     * @param {number} maxAngle Maximum yaw, pitch, and roll angle in degrees
+     * @returns {boolean}
+     */
+    isFrontal(maxAngle = 30) {
+        if (this.pose) {
+            return Object.values(this.pose).every(angle => Math.abs(angle) <= maxAngle);
+        }
+        return false;
+    }
+
+    /**
+     * Get landmark features.
+     *
+     * @param {string[]} markers Markers to use instead of the default markers
+     * @returns {FaceFeatures}
+     */
+    getFeatures(markers = null) {
+        if (markers) {
+            const features = new FaceFeatures();
+            for (const key of markers) {
+                const points = this[key] instanceof Points ? this[key] : new Points(this.points.getNamed(key));
+                if (points.points.length) {
+                    features.add(key, points);
+                }
+            }
+            return features;
+        }
         if (this.features === undefined) {
             this.features = new FaceFeatures();
             for (const [key, isFeature] of Object.entries(this.markers)) {
@@ -185,6 +713,9 @@ class FaceLandmark {
  */
 class FaceFeatures {
 
+    static META = ['extractor', 'metric']
+    static DEFAULT_EXTRACTOR = 'landmark'
+
     /**
      * Add landmark feature.
      *
@@ -204,8 +735,10 @@ class FaceFeatures {
     distance(features) {
         let res;
         if (features) {
-            if (Object.keys(this).length !== Object.keys(features).length) {
-                throw new Error('Unable to compare between different face features!');
+            this.validate(features);
+            const metric = this.getMetric();
+            if (!metric.isPlain()) {
+                return metric.distance(this, features, this.constructor.keys(this));
             }
             const feat1 = this.constructor.flatten(this);
             const feat2 = this.constructor.flatten(features);
@@ -218,10 +751,92 @@ class FaceFeatures {
         return res;
     }
 
-    find(featuresList, threshold = 0.15) {
+    /**
+     * Get distance metric recorded in the features, default to unweighted
+     * euclidean.
+     *
+     * @returns {FeatureMetric}
+     * @throws {FaceTemplateError}
+     */
+    getMetric() {
+        const metric = FeatureMetric.get(this.metric);
+        if (metric === undefined) {
+            throw new FaceTemplateError(`Feature metric ${this.metric.name} ${this.metric.digest} is not available!`,
+                'TEMPLATE_METRIC');
+        }
+        return metric;
+    }
+
+    /**
+     * Ensure referenced features is comparable.
+     *
+     * @param {FaceFeatures|object} features Referenced features
+     * @throws {FaceTemplateError}
+     */
+    validate(features) {
+        const extractor1 = this.constructor.getExtractor(this);
+        const extractor2 = this.constructor.getExtractor(features);
+        if (extractor1 !== extractor2) {
+            throw new FaceTemplateError(`Unable to compare face features of ${extractor1} and ${extractor2}!`,
+                'TEMPLATE_EXTRACTOR');
+        }
+        const keys1 = this.constructor.keys(this);
+        const keys2 = this.constructor.keys(features);
+        const missing = [...keys1.filter(k => !keys2.includes(k)), ...keys2.filter(k => !keys1.includes(k))];
+        if (missing.length) {
+            throw new FaceTemplateError(`Unable to compare between different face features, marker ${missing.join(', ')} is not matched!`,
+                'TEMPLATE_MARKER');
+        }
+        for (const k of keys1) {
+            if (this[k].length !== features[k].length) {
+                throw new FaceTemplateError(`Unable to compare between different face features, ${k} has ${this[k].length} and ${features[k].length} values!`,
+                    'TEMPLATE_POINTS');
+            }
+        }
+        if (this.metric && features.metric) {
+            const metric1 = FeatureMetric.getId(this.metric);
+            const metric2 = FeatureMetric.getId(features.metric);
+            if (metric1 !== metric2) {
+                throw new FaceTemplateError(`Unable to compare face features of metric ${metric1} and ${metric2}!`,
+                    'TEMPLATE_METRIC');
+            }
+        }
+    }
+
+    /**
+     * Encode features as binary template.
+     *
+     * @param {object} options Encode options
+     * @param {string} options.dtype Payload data type, float32 or int8
+     * @returns {Buffer}
+     */
+    encode(options = null) {
+        const markers = {};
+        for (const k of this.constructor.keys(this)) {
+            markers[k] = this[k];
+        }
+        const config = this.metric ? {metric: this.metric} : null;
+        return FaceTemplate.encode({extractor: this.constructor.getExtractor(this), markers, config}, options);
+    }
+
+    /**
+     * Calculate distance from referenced features or samples of an identity.
+     *
+     * @param {FaceFeatures|FaceSamples|object} features Referenced features or samples
+     * @param {string} mode Samples aggregation mode, best, mean, or centroid
+     * @returns {number}
+     */
+    score(features, mode = 'best') {
+        if (FaceSamples.isSamples(features)) {
+            return FaceSamples.from(features).distance(this, mode);
+        }
+        return this.distance(features);
+    }
+
+    find(featuresList, threshold = 0.15, mode = 'best') {
         let index, conf;
         for (const [idx, features] of Object.entries(featuresList)) {
-            const dist = this.distance(features);
+            const dist = this.score(features, mode);
             if (dist < threshold && (conf === undefined || dist < conf)) {
                 conf = dist;
                 index = idx;
@@ -230,23 +845,173 @@ class FaceFeatures {
         return [index, conf];
     }
 
+    /**
+     * Get closest features regardless of threshold.
+     *
+     * @param {Array} featuresList Features list
+     * @param {number} count Number of closest features
+     * @param {string} mode Samples aggregation mode
+     * @returns {Array[]} Pairs of index and distance ordered by distance
+     */
+    rank(featuresList, count, mode = 'best') {
+        const res = [];
+        for (const [idx, features] of Object.entries(featuresList)) {
+            const dist = this.score(features, mode);
+            if (dist !== undefined) {
+                res.push([idx, dist]);
+            }
+        }
+        return res
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, count);
+    }
+
+    static keys(features) {
+        return Object.keys(features)
+            .filter(k => !this.META.includes(k));
+    }
+
     static flatten(features) {
         const res = [];
-        Object.values(features).forEach(v => {
-            res.push(...v);
+        this.keys(features).forEach(k => {
+            res.push(...features[k]);
         });
         return res;
     }
 
+    static getExtractor(features) {
+        return features.extractor ?? this.DEFAULT_EXTRACTOR;
+    }
+
+    /**
+     * Decode binary template.
+     *
+     * @param {Buffer|Uint8Array} data Encoded template
+     * @returns {FaceFeatures}
+     * @throws {FaceTemplateError}
+     */
+    static decode(data) {
+        const {extractor, markers, config} = FaceTemplate.decode(data);
+        const res = this.from({extractor, ...markers});
+        if (config && config.metric) {
+            res.metric = config.metric;
+        }
+        return res;
+    }
+
+    /**
+     * Create features from encoded template or features data, validating
+     * the values.
+     *
+     * @param {Buffer|Uint8Array|object} data Template data
+     * @returns {FaceFeatures}
+     * @throws {FaceTemplateError}
+     */
+    static parse(data) {
+        if (data instanceof Uint8Array) {
+            return this.decode(data);
+        }
+        if (data && typeof data === 'object') {
+            const keys = this.keys(data);
+            if (keys.length && keys.every(k => Array.isArray(data[k]) && data[k].every(v => Number.isFinite(v)))) {
+                return this.from(data);
+            }
+        }
+        throw new FaceTemplateError('Face template is not valid!', 'TEMPLATE_INVALID');
+    }
+
     static from(data) {
         const feat = new this();
         for (const [k, v] of Object.entries(data)) {
-            feat.add(k, v);
+            if (this.META.includes(k)) {
+                feat[k] = v;
+            } else {
+                feat.add(k, v);
+            }
         }
         return feat;
     }
 }
 
+/**
+ * Face features samples of an identity.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceSamples {
+
+    static MODES = ['best', 'mean', 'centroid']
+
+    /**
+     * Constructor.
+     *
+     * @param {FaceFeatures[]|object[]} samples Features samples
+     */
+    constructor(samples = null) {
+        this.samples = Array.isArray(samples) ? samples : [];
+    }
+
+    /**
+     * Calculate mean of the samples.
+     *
+     * @returns {FaceFeatures|undefined}
+     */
+    centroid() {
+        if (this.samples.length) {
+            if (this._centroid === undefined) {
+                const [first] = this.samples;
+                const res = new FaceFeatures();
+                res.extractor = FaceFeatures.getExtractor(first);
+                if (first.metric) {
+                    res.metric = first.metric;
+                }
+                for (const k of FaceFeatures.keys(first)) {
+                    res.add(k, first[k].map((_, i) => this.samples
+                        .reduce((a, b) => a + b[k][i], 0) / this.samples.length));
+                }
+                this._centroid = res;
+            }
+            return this._centroid;
+        }
+    }
+
+    /**
+     * Calculate aggregated distance of features to the samples.
+     *
+     * @param {FaceFeatures} features Features
+     * @param {string} mode Aggregation mode, best, mean, or centroid
+     * @returns {number|undefined}
+     */
+    distance(features, mode = 'best') {
+        if (this.samples.length) {
+            switch (mode) {
+                case 'best':
+                    return Math.min(...this.samples.map(sample => features.distance(sample)));
+                case 'mean':
+                    return this.samples
+                        .map(sample => features.distance(sample))
+                        .reduce((a, b) => a + b, 0) / this.samples.length;
+                case 'centroid':
+                    return features.distance(this.centroid());
+                default:
+                    throw new Error(`Unsupported samples aggregation mode ${mode}!`);
+            }
+        }
+    }
+
+    toJSON() {
+        return {samples: this.samples};
+    }
+
+    static isSamples(data) {
+        return data instanceof FaceSamples || (data !== null && typeof data === 'object' && Array.isArray(data.samples));
+    }
+
+    static from(data) {
+        return data instanceof FaceSamples ? data : new this(data.samples);
+    }
+}
+
 class Points {
 
     points = []
@@ -306,6 +1071,14 @@ class Points {
         return this;
     }
 
+    align(alignment) {
+        this.points.forEach(p => {
+            p.align(alignment);
+        });
+        delete this.center;
+        return this;
+    }
+
     toJSON() {
         return this.points.map(p => p.toJSON());
     }
@@ -374,6 +1147,14 @@ class Point {
         return this;
     }
 
+    align(alignment) {
+        const {x, y, z} = alignment.apply(this);
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
     toJSON() {
         const res = {};
         for (const k of ['x', 'y', 'z', 'name']) {
@@ -394,4 +1175,6 @@ module.exports = {
     FaceDetection,
     FaceLandmark,
     FaceFeatures,
+    FaceSamples,
+    Points,
 }
\ No newline at end of file
@@ -0,0 +1,427 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const crypto = require('crypto');
+const { FaceFeatures } = require('./face');
+const { FaceError } = require('./errors');
+const GalleryStore = require('./store');
+const debug = require('debug')('identity:face-ng:gallery');
+
+/**
+ * Registered face templates, each identity may hold several samples.
+ *
+ * A sample is either a face image or face features. The gallery is kept
+ * in the parent process and each identity is registered to the identifier
+ * as a samples record.
+ *
+ * When a store is attached, each change is persisted and changes made by
+ * other processes are applied on refresh.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceGallery {
+
+    items = new Map()
+
+    /**
+     * Constructor.
+     *
+     * @param {GalleryStore} store Persistent store
+     */
+    constructor(store = null) {
+        this.store = store;
+    }
+
+    /**
+     * Check if identity is registered.
+     *
+     * @param {string} id Identity
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.items.has(id);
+    }
+
+    /**
+     * Get identity samples.
+     *
+     * @param {string} id Identity
+     * @returns {Array|undefined}
+     */
+    get(id) {
+        return this.items.get(id);
+    }
+
+    /**
+     * Set identity samples, replacing existing samples.
+     *
+     * @param {string} id Identity
+     * @param {Array} samples Samples
+     */
+    set(id, samples) {
+        this.commit({op: 'set', id, samples});
+    }
+
+    /**
+     * Add a sample to identity.
+     *
+     * @param {string} id Identity
+     * @param {Uint8Array|object} sample Face image or features
+     * @returns {number} Sample index
+     */
+    add(id, sample) {
+        return this.commit({op: 'add', id, sample});
+    }
+
+    /**
+     * Remove identity or a sample of identity.
+     *
+     * @param {string} id Identity
+     * @param {number} index Sample index, omit to remove the identity
+     * @returns {boolean}
+     */
+    remove(id, index) {
+        const op = {op: 'remove', id};
+        if (index !== undefined && index !== null) {
+            op.index = index;
+        }
+        return this.commit(op);
+    }
+
+    /**
+     * Remove all identities.
+     */
+    clear() {
+        this.refresh();
+        this.items.clear();
+        if (this.store) {
+            this.store.write([]);
+        }
+    }
+
+    /**
+     * Get registered identities.
+     *
+     * @returns {string[]}
+     */
+    ids() {
+        return Array.from(this.items.keys());
+    }
+
+    /**
+     * Get registered identities count.
+     *
+     * @returns {number}
+     */
+    count() {
+        return this.items.size;
+    }
+
+    /**
+     * Get record of identity to be registered to the identifier.
+     *
+     * @param {string} id Identity
+     * @returns {object|undefined}
+     */
+    getRecord(id) {
+        if (this.items.has(id)) {
+            return {id, samples: this.items.get(id)};
+        }
+    }
+
+    /**
+     * Get digest of identity samples.
+     *
+     * @param {string} id Identity
+     * @returns {string|undefined}
+     */
+    digest(id) {
+        if (this.items.has(id)) {
+            return crypto.createHash('sha256')
+                .update(JSON.stringify(this.items.get(id).map(sample => GalleryStore.encodeSample(sample))))
+                .digest('hex');
+        }
+    }
+
+    /**
+     * Apply a gallery operation.
+     *
+     * @param {object} op Gallery operation
+     * @returns {any}
+     */
+    apply(op) {
+        switch (op.op) {
+            case 'set':
+                this.items.set(op.id, [...op.samples]);
+                return true;
+            case 'add':
+                if (!this.items.has(op.id)) {
+                    this.items.set(op.id, []);
+                }
+                return this.items.get(op.id).push(op.sample) - 1;
+            case 'remove':
+                if (this.items.has(op.id)) {
+                    if (op.index === undefined) {
+                        return this.items.delete(op.id);
+                    }
+                    const samples = this.items.get(op.id);
+                    if (op.index >= 0 && op.index < samples.length) {
+                        samples.splice(op.index, 1);
+                        if (!samples.length) {
+                            this.items.delete(op.id);
+                        }
+                        return true;
+                    }
+                }
+                return false;
+            case 'clear':
+                this.items.clear();
+                return true;
+        }
+    }
+
+    /**
+     * Apply an operation and persist it.
+     *
+     * @param {object} op Gallery operation
+     * @returns {any}
+     */
+    commit(op) {
+        this.refresh();
+        const res = this.apply(op);
+        if (this.store && res !== false) {
+            this.store.append(this.constructor.encode(op));
+        }
+        return res;
+    }
+
+    /**
+     * Load gallery from store.
+     *
+     * @returns {string[]} Loaded identities
+     */
+    load() {
+        const ids = new Set(this.items.keys());
+        this.items.clear();
+        if (this.store) {
+            const ops = this.store.load();
+            for (const op of ops) {
+                this.replay(op);
+            }
+            // keep the log from growing with superseded operations
+            if (ops.length > 2 * this.items.size + 100) {
+                this.compact();
+            }
+        }
+        for (const id of this.items.keys()) {
+            ids.add(id);
+        }
+        return Array.from(ids);
+    }
+
+    /**
+     * Apply changes made by other processes.
+     *
+     * @returns {string[]} Changed identities
+     */
+    refresh() {
+        const res = new Set();
+        if (this.store) {
+            const ops = this.store.read();
+            if (ops === null) {
+                for (const id of this.load()) {
+                    res.add(id);
+                }
+            } else {
+                for (const op of ops) {
+                    const ids = op.op === 'clear' ? Array.from(this.items.keys()) : [op.id];
+                    if (this.replay(op)) {
+                        ids.forEach(id => res.add(id));
+                    }
+                }
+            }
+            if (res.size && typeof this.onchange === 'function') {
+                this.onchange(Array.from(res));
+            }
+        }
+        return Array.from(res);
+    }
+
+    /**
+     * Apply a stored operation, an invalid operation, e.g. written by other
+     * process, is skipped.
+     *
+     * @param {object} op Stored operation
+     * @returns {boolean}
+     */
+    replay(op) {
+        try {
+            this.apply(this.constructor.decode(op));
+            return true;
+        }
+        catch (err) {
+            debug(`Skipping invalid gallery operation: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Rewrite store with current identities.
+     */
+    compact() {
+        if (this.store) {
+            this.store.write(Array.from(this.items.entries())
+                .map(([id, samples]) => this.constructor.encode({op: 'set', id, samples})));
+        }
+    }
+
+    /**
+     * Export gallery snapshot.
+     *
+     * @returns {object}
+     */
+    export() {
+        this.refresh();
+        return {
+            version: 1,
+            items: Array.from(this.items.entries())
+                .map(([id, samples]) => ({id, samples: samples.map(sample => GalleryStore.encodeSample(sample))})),
+        }
+    }
+
+    /**
+     * Import gallery snapshot. Every item is validated before the gallery is
+     * changed.
+     *
+     * @param {object|string} snapshot Gallery snapshot or its JSON
+     * @param {boolean} replace Remove existing identities first
+     * @returns {string[]} Changed identities
+     * @throws {FaceError}
+     */
+    import(snapshot, replace = false) {
+        if (typeof snapshot === 'string') {
+            try {
+                snapshot = JSON.parse(snapshot);
+            }
+            catch (err) {
+                throw new FaceError(`Gallery snapshot is not a valid JSON: ${err.message}!`, 'INVALID_SNAPSHOT');
+            }
+        }
+        if (!snapshot || !Array.isArray(snapshot.items)) {
+            throw new FaceError('Gallery snapshot is not valid!', 'INVALID_SNAPSHOT');
+        }
+        const ops = snapshot.items.map((item, index) => {
+            try {
+                return this.constructor.decode({op: 'set', id: item?.id, samples: item?.samples});
+            }
+            catch (err) {
+                if (!(err instanceof FaceError)) {
+                    throw err;
+                }
+                throw new FaceError(`Gallery snapshot item ${index} is not valid: ${err.message}`, 'INVALID_SNAPSHOT');
+            }
+        });
+        this.refresh();
+        const ids = new Set(replace ? this.items.keys() : []);
+        if (replace) {
+            this.items.clear();
+        }
+        for (const op of ops) {
+            this.apply(op);
+            ids.add(op.id);
+        }
+        this.compact();
+        return Array.from(ids);
+    }
+
+    /**
+     * Encode operation samples to be stored.
+     *
+     * @param {object} op Gallery operation
+     * @returns {object}
+     */
+    static encode(op) {
+        const res = {...op};
+        if (op.samples) {
+            res.samples = op.samples.map(sample => GalleryStore.encodeSample(sample));
+        }
+        if (op.sample) {
+            res.sample = GalleryStore.encodeSample(op.sample);
+        }
+        return res;
+    }
+
+    /**
+     * Decode and validate stored operation samples.
+     *
+     * @param {object} op Stored operation
+     * @returns {object}
+     * @throws {FaceError}
+     */
+    static decode(op) {
+        const invalid = message => new FaceError(message, 'INVALID_GALLERY');
+        if (!op || typeof op !== 'object') {
+            throw invalid('Gallery operation is not valid!');
+        }
+        if (op.op !== 'clear' && (typeof op.id !== 'string' || !op.id.length) && typeof op.id !== 'number') {
+            throw invalid(`Gallery operation ${op.op} requires identity!`);
+        }
+        const res = {...op};
+        const sample = data => {
+            if (data && typeof data === 'object') {
+                if (typeof data.image === 'string' && data.image.length && /^[A-Za-z0-9+/]+={0,2}$/.test(data.image)) {
+                    return GalleryStore.decodeSample(data);
+                }
+                if (data.image === undefined && data.features) {
+                    // throws FaceTemplateError for invalid features
+                    return GalleryStore.decodeSample(data, features => FaceFeatures.parse(features));
+                }
+            }
+            throw invalid('Gallery sample is not valid!');
+        }
+        switch (op.op) {
+            case 'set':
+                if (!Array.isArray(op.samples)) {
+                    throw invalid('Gallery operation set requires samples!');
+                }
+                res.samples = op.samples.map(sample);
+                break;
+            case 'add':
+                res.sample = sample(op.sample);
+                break;
+            case 'remove':
+                if (op.index !== undefined && !Number.isInteger(op.index)) {
+                    throw invalid(`Gallery sample index ${op.index} is not valid!`);
+                }
+                break;
+            case 'clear':
+                break;
+            default:
+                throw invalid(`Gallery operation ${op.op} is not supported!`);
+        }
+        return res;
+    }
+}
+
+module.exports = FaceGallery;
\ No newline at end of file
@@ -0,0 +1,237 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const tf = require('@tensorflow/tfjs-node');
+const sharp = require('sharp');
+const { FaceImageError } = require('./errors');
+
+/**
+ * Decoded input image prepared for face detection.
+ *
+ * The image is auto rotated using its EXIF orientation and converted to
+ * sRGB. Detection runs on a working copy downscaled to the maximum working
+ * size, detected faces are then mapped back to the oriented image
+ * coordinates.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceImage {
+
+    static FORMATS = ['jpeg', 'png', 'webp', 'tiff', 'gif', 'heif']
+    static MAX_SIZE = 1280
+
+    /**
+     * Constructor.
+     *
+     * @param {object} params Image data
+     * @param {Buffer} params.buffer Oriented image as JPEG or PNG
+     * @param {number} params.width Oriented image width
+     * @param {number} params.height Oriented image height
+     * @param {string} params.format Source image format
+     * @param {Buffer} params.data Working copy RGB pixels
+     * @param {number} params.dataWidth Working copy width
+     * @param {number} params.dataHeight Working copy height
+     */
+    constructor({buffer, width, height, format, data, dataWidth, dataHeight}) {
+        this.buffer = buffer;
+        this.width = width;
+        this.height = height;
+        this.format = format;
+        this.data = data;
+        this.dataWidth = dataWidth;
+        this.dataHeight = dataHeight;
+    }
+
+    /**
+     * Get oriented image shape.
+     *
+     * @property {number[]}
+     */
+    get shape() {
+        return [this.height, this.width, 3];
+    }
+
+    /**
+     * Get working copy scale relative to oriented image.
+     *
+     * @property {number}
+     */
+    get scale() {
+        return this.dataWidth / this.width;
+    }
+
+    /**
+     * Create working copy image tensor.
+     *
+     * @returns {tf.Tensor3D}
+     */
+    toTensor() {
+        return tf.tensor3d(this.data, [this.dataHeight, this.dataWidth, 3], 'int32');
+    }
+
+    /**
+     * Get oriented image RGB pixels in original resolution. The image is
+     * only decoded once, the working copy is used when it is not downscaled.
+     *
+     * @returns {Promise<Buffer>}
+     */
+    getPixels() {
+        if (this.pixels === undefined) {
+            if (this.dataWidth === this.width && this.dataHeight === this.height) {
+                this.pixels = Promise.resolve(this.data);
+            } else {
+                this.pixels = sharp(this.buffer)
+                    .toColorspace('srgb')
+                    .removeAlpha()
+                    .raw()
+                    .toBuffer();
+                this.pixels.catch(() => delete this.pixels);
+            }
+        }
+        return this.pixels;
+    }
+
+    /**
+     * Create image tensor of an oriented image region, the region is cut
+     * from the original resolution and resized using the scale.
+     *
+     * @param {number[]} region Region left, top, width, and height
+     * @param {number} scale Region scale
+     * @returns {Promise<tf.Tensor3D>}
+     */
+    async toRegionTensor(region, scale = 1) {
+        const [left, top, width, height] = region;
+        const {data, info} = await sharp(await this.getPixels(), {raw: {width: this.width, height: this.height, channels: 3}})
+            .extract({left, top, width, height})
+            .resize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)), {fit: 'fill'})
+            .raw()
+            .toBuffer({resolveWithObject: true});
+        return tf.tensor3d(data, [info.height, info.width, 3], 'int32');
+    }
+
+    /**
+     * Map detected face from working copy into oriented image coordinates.
+     *
+     * @param {object} face Detected face
+     * @returns {object}
+     */
+    map(face) {
+        const sx = this.width / this.dataWidth;
+        const sy = this.height / this.dataHeight;
+        if (sx === 1 && sy === 1) {
+            return face;
+        }
+        const box = face.box;
+        return {
+            ...face,
+            box: {
+                xMin: box.xMin * sx,
+                yMin: box.yMin * sy,
+                xMax: box.xMax * sx,
+                yMax: box.yMax * sy,
+                width: box.width * sx,
+                height: box.height * sy,
+            },
+            keypoints: face.keypoints.map(p => {
+                const res = {...p, x: p.x * sx, y: p.y * sy};
+                if (p.z !== undefined) {
+                    res.z = p.z * sx;
+                }
+                return res;
+            }),
+        }
+    }
+
+    /**
+     * Decode and prepare an image.
+     *
+     * @param {string|Buffer|Uint8Array} input Image file name or data
+     * @param {object} options Options
+     * @param {number} options.maxSize Maximum working size, default to 1280
+     * @param {number} options.maxPixels Maximum decoded pixels
+     * @returns {Promise<FaceImage>}
+     * @throws {FaceImageError}
+     */
+    static async load(input, options = null) {
+        options = options || {};
+        if (typeof input === 'string' && fs.existsSync(input)) {
+            input = fs.readFileSync(input);
+        }
+        if (!(input instanceof Uint8Array) || !input.length) {
+            throw new FaceImageError('Image data is empty or not supported!', 'IMAGE_INPUT');
+        }
+        const sharpOptions = {failOn: 'error'};
+        let metadata;
+        try {
+            metadata = await sharp(input, sharpOptions).metadata();
+        }
+        catch (err) {
+            throw new FaceImageError(`Image can't be decoded: ${err.message}!`, 'IMAGE_DECODE');
+        }
+        if (!this.FORMATS.includes(metadata.format)) {
+            throw new FaceImageError(`Image format ${metadata.format} is not supported!`, 'IMAGE_FORMAT');
+        }
+        if (options.maxPixels && metadata.width * metadata.height > options.maxPixels) {
+            throw new FaceImageError(`Image size ${metadata.width}x${metadata.height} exceeds the limit!`, 'IMAGE_TOO_LARGE');
+        }
+        const rotated = (metadata.orientation ?? 1) > 1;
+        const swap = (metadata.orientation ?? 1) >= 5;
+        const width = swap ? metadata.height : metadata.width;
+        const height = swap ? metadata.width : metadata.height;
+        const maxSize = options.maxSize ?? this.MAX_SIZE;
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        try {
+            const image = () => sharp(input, sharpOptions)
+                .rotate()
+                .toColorspace('srgb');
+            let buffer = input;
+            // other consumers decode the image as is, only re-encode when needed
+            if (rotated || !['jpeg', 'png'].includes(metadata.format) || (metadata.space && metadata.space !== 'srgb')) {
+                buffer = metadata.format === 'jpeg' ?
+                    await image().jpeg({quality: 95}).toBuffer() :
+                    await image().png().toBuffer();
+            }
+            const {data, info} = await image()
+                .removeAlpha()
+                .resize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)), {fit: 'fill'})
+                .raw()
+                .toBuffer({resolveWithObject: true});
+            return new this({
+                buffer,
+                width,
+                height,
+                format: metadata.format,
+                data,
+                dataWidth: info.width,
+                dataHeight: info.height,
+            });
+        }
+        catch (err) {
+            throw new FaceImageError(`Image can't be decoded: ${err.message}!`, 'IMAGE_DECODE');
+        }
+    }
+}
+
+module.exports = FaceImage;
\ No newline at end of file
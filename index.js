@@ -22,10 +22,30 @@
  * SOFTWARE.
  */
 
+const cluster = require('cluster');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const tf = require('@tensorflow/tfjs-node');
 const { Identity } = require('@ntlab/identity');
-const { FaceDetection, FaceLandmark } = require('./face');
-const sharp = require('sharp');
+const { FaceDetection, FaceLandmark, FaceFeatures, FaceSamples, Points } = require('./face');
+const { FeatureExtractor } = require('./extractor');
+const { FeatureMetric, MahalanobisMetric } = require('./metric');
+const { FaceError, FaceTemplateError, FaceLivenessError } = require('./errors');
+const FaceLiveness = require('./liveness');
+const FaceChallenge = require('./challenge');
+const FaceCrop = require('./crop');
+const FaceSession = require('./session');
+const FaceQuality = require('./quality');
+const FaceSelector = require('./selector');
+const Calibration = require('./calibration');
+const FeatureCache = require('./cache');
+const FeatureMatrix = require('./matrix');
+const HnswIndex = require('./ann');
+const FaceGallery = require('./gallery');
+const GalleryStore = require('./store');
+const FaceTemplate = require('./template');
+const LocalModel = require('./model');
 const debug = require('debug')('identity:face-ng');
 
 class FaceId extends Identity {
@@ -42,6 +62,8 @@ class FaceId extends Identity {
             maxWorks: 0,
             hasConfidence: true,
         }
+        // options are only available once constructed
+        setImmediate(() => this.warmup());
     }
 
     getCommands() {
@@ -49,27 +71,99 @@ class FaceId extends Identity {
             [Identity.MODE_ALL]: {
                 'self-test': data => this.VERSION,
                 'connect': data => true,
+                'models': data => {
+                    return this.tryCmd(() => ({
+                        models: this.getModels().list(),
+                        loaded: Object.values(this.getModels().getStats()),
+                        detectors: FaceDetection.getStats(),
+                        memory: {tensors: tf.memory().numBytes, ...process.memoryUsage()},
+                    }));
+                },
             },
             [Identity.MODE_VERIFIER]: {
                 'identify': async (data) => {
-                    return await this.faceIdentify(this.normalize(data.feature), data.workid);
+                    return await this.tryCmd(() => this.faceIdentify(this.normalize(data.feature), data.workid, data.options));
+                },
+                'verify': async (data) => {
+                    if (data.id && data.feature) {
+                        return await this.tryCmd(() => this.faceVerify(data.id, this.normalize(data.feature), data.options));
+                    }
+                },
+                'dedupe': async (data) => {
+                    return await this.tryCmd(() => this.dedupe(data.workid, data.options));
+                },
+                'learn-metric': async (data) => {
+                    return await this.tryCmd(() => this.learnMetric(data.options));
+                },
+                'calibrate': async (data) => {
+                    if (Array.isArray(data.pairs)) {
+                        return await this.tryCmd(() => this.calibrate(data.pairs, data.options));
+                    }
+                },
+                'evaluate': async (data) => {
+                    if (Array.isArray(data.subjects)) {
+                        return await this.tryCmd(() => this.evaluate(data.subjects, data.options));
+                    }
+                },
+                'liveness': async (data) => {
+                    if (data.feature) {
+                        return await this.tryCmd(() => this.faceLiveness(this.normalize(data.feature)));
+                    }
+                },
+                'challenge': async (data) => {
+                    if (Array.isArray(data.frames) && Array.isArray(data.challenges)) {
+                        return await this.tryCmd(() => this.faceChallenge(data.frames.map(frame => this.normalize(frame)),
+                            data.challenges, data.workid, data.options));
+                    }
+                },
+                'stream-open': async (data) => {
+                    return await this.tryCmd(() => ({session: this.openSession(data.options).id}));
+                },
+                'stream-push': async (data) => {
+                    if (data.session && data.frame) {
+                        return await this.tryCmd(async () => {
+                            const session = this.getSession(data.session);
+                            session.touch();
+                            await session.push(this.normalize(data.frame));
+                            return {session: session.id, frame: session.frame, events: session.poll()};
+                        });
+                    }
+                },
+                'stream-poll': async (data) => {
+                    if (data.session) {
+                        return await this.tryCmd(() => ({events: this.getSession(data.session).poll()}));
+                    }
+                },
+                'stream-close': async (data) => {
+                    if (data.session) {
+                        return await this.tryCmd(async () => ({events: await this.closeSession(data.session)}));
+                    }
                 },
                 'detect': async (data) => {
-                    return await this.detectFaces(this.normalize(data.feature), data.options);
+                    return await this.tryCmd(() => this.detectFaces(this.normalize(data.feature), data.options));
                 },
                 'count-template': data => {
                     return {count: this.getIdentifier().count()};
                 },
                 'reg-template': data => {
                     if (data.id && data.template) {
-                        if (data.force && this.getIdentifier().has(data.id)) {
-                            this.getIdentifier().remove(data.id);
-                        }
-                        const success = this.getIdentifier().add(data.id, this.normalize(data.template));
-                        debug(`Register template ${data.id} [${success ? 'OK' : 'FAIL'}]`);
-                        if (success) {
-                            return {id: data.id};
-                        }
+                        return this.tryCmd(async () => {
+                            const templates = [];
+                            for (const template of Array.isArray(data.template) ? data.template : [data.template]) {
+                                templates.push(await this.getTemplate(this.normalize(template), data.options));
+                            }
+                            if (data.force && this.getIdentifier().has(data.id)) {
+                                this.getIdentifier().remove(data.id);
+                                this.getGallery().remove(data.id);
+                            }
+                            const success = this.getIdentifier().add(data.id, {id: data.id, samples: templates});
+                            debug(`Register template ${data.id} [${success ? 'OK' : 'FAIL'}]`);
+                            if (success) {
+                                this.getGallery().set(data.id, templates);
+                                this.queueIndex(data.id);
+                                return {id: data.id};
+                            }
+                        });
                     }
                 },
                 'unreg-template': data => {
@@ -77,10 +171,47 @@ class FaceId extends Identity {
                         const success = this.getIdentifier().remove(data.id);
                         debug(`Unregister template ${data.id} [${success ? 'OK' : 'FAIL'}]`);
                         if (success) {
+                            this.getGallery().remove(data.id);
+                            this.queueIndex(data.id);
                             return {id: data.id};
                         }
                     }
                 },
+                'add-sample': data => {
+                    if (data.id && data.template) {
+                        return this.tryCmd(async () => {
+                            const template = await this.getTemplate(this.normalize(data.template), data.options);
+                            const index = this.getGallery().add(data.id, template);
+                            const success = this.syncTemplate(data.id);
+                            debug(`Add sample ${data.id}#${index} [${success ? 'OK' : 'FAIL'}]`);
+                            if (success) {
+                                return {id: data.id, index, count: this.getGallery().get(data.id).length};
+                            }
+                            this.getGallery().remove(data.id, index);
+                        });
+                    }
+                },
+                'list-samples': data => {
+                    if (data.id && this.getGallery().has(data.id)) {
+                        const samples = this.getGallery().get(data.id)
+                            .map((sample, index) => {
+                                if (sample instanceof Uint8Array) {
+                                    return {index, type: 'image', size: sample.length};
+                                }
+                                return {index, type: 'features', extractor: FaceFeatures.getExtractor(sample)};
+                            });
+                        return {id: data.id, count: samples.length, samples};
+                    }
+                },
+                'remove-sample': data => {
+                    if (data.id && data.index !== undefined) {
+                        const success = this.getGallery().remove(data.id, parseInt(data.index)) && this.syncTemplate(data.id);
+                        debug(`Remove sample ${data.id}#${data.index} [${success ? 'OK' : 'FAIL'}]`);
+                        if (success) {
+                            return {id: data.id, count: this.getGallery().has(data.id) ? this.getGallery().get(data.id).length : 0};
+                        }
+                    }
+                },
                 'has-template': data => {
                     if (data.id) {
                         const success = this.getIdentifier().has(data.id);
@@ -91,10 +222,237 @@ class FaceId extends Identity {
                 },
                 'clear-template': data => {
                     this.getIdentifier().clear();
+                    this.getGallery().clear();
+                    if (this.getIndex()) {
+                        this.getIndex().reset();
+                        this.saveIndex();
+                    }
                     return true;
+                },
+                'export-gallery': data => {
+                    const snapshot = this.getGallery().export();
+                    return {count: snapshot.items.length, snapshot};
+                },
+                'import-gallery': data => {
+                    if (data.snapshot) {
+                        return this.tryCmd(() => {
+                            const ids = this.getGallery().import(data.snapshot, data.replace);
+                            for (const id of ids) {
+                                this.syncTemplate(id);
+                            }
+                            debug(`Import gallery ${ids.length} identities`);
+                            return {count: ids.length};
+                        });
+                    }
+                },
+                'prune-cache': data => {
+                    return this.tryCmd(() => this.pruneCache(data.options));
+                },
+            }
+        }
+    }
+
+    /**
+     * Get gallery, persisted to `gallery` option file when configured.
+     *
+     * @returns {FaceGallery}
+     */
+    getGallery() {
+        if (this.gallery === undefined) {
+            const filename = this.options.gallery;
+            this.gallery = new FaceGallery(filename ? new GalleryStore(filename) : null);
+            if (this.gallery.store) {
+                this.gallery.onchange = ids => {
+                    debug(`Gallery changed, reloading ${ids.length} identities`);
+                    for (const id of ids) {
+                        this.syncTemplate(id);
+                    }
                 }
+                const ids = this.gallery.load();
+                debug(`Gallery loaded with ${ids.length} identities from ${this.gallery.store.filename}`);
+                this.gallery.store.watch(() => this.gallery.refresh());
             }
         }
+        return this.gallery;
+    }
+
+    /**
+     * Register identity samples from gallery to the identifier.
+     *
+     * @param {string} id Identity
+     * @returns {boolean}
+     */
+    syncTemplate(id) {
+        const identifier = this.getIdentifier();
+        if (identifier.has(id)) {
+            identifier.remove(id);
+        }
+        this.queueIndex(id);
+        const record = this.getGallery().getRecord(id);
+        if (record) {
+            return identifier.add(id, record);
+        }
+        return true;
+    }
+
+    /**
+     * Get approximate nearest neighbour index of the configured extractor,
+     * enabled using `ann` option. The index is persisted to `ann.path`
+     * option or alongside the gallery.
+     *
+     * The index requires features cache, so gallery images are only
+     * extracted once by either the workers or the index.
+     *
+     * @returns {HnswIndex|null}
+     */
+    getIndex() {
+        if (this.index === undefined) {
+            this.index = null;
+            if (this.options.ann && !this.getCache()) {
+                debug('Index is disabled, it requires features cache to be enabled using cache option');
+            }
+            if (this.options.ann && this.getCache()) {
+                const options = this.getIndexOptions();
+                const extractor = this.getExtractor();
+                const signature = JSON.stringify({extractor: extractor.getSignature(), metric: this.getMetric().id});
+                const filename = this.getIndexFilename();
+                let index = filename ? HnswIndex.load(filename, options) : undefined;
+                if (!index || !index.meta || index.meta.signature !== signature) {
+                    index = new HnswIndex(options);
+                }
+                index.extractor = extractor;
+                index.signature = signature;
+                this.index = index;
+                // index only the changes since the index was saved
+                const gallery = this.getGallery();
+                for (const id of Object.keys(index.digests)) {
+                    if (!gallery.has(id)) {
+                        index.remove(id);
+                    }
+                }
+                for (const id of gallery.ids()) {
+                    if (index.digests[id] !== gallery.digest(id)) {
+                        this.queueIndex(id);
+                    }
+                }
+                debug(`Index ${extractor.id} loaded with ${index.count()} vector(s)`);
+            }
+        }
+        return this.index;
+    }
+
+    getIndexOptions() {
+        return typeof this.options.ann === 'object' ? this.options.ann : {};
+    }
+
+    getIndexFilename() {
+        const options = this.getIndexOptions();
+        if (options.path) {
+            return options.path;
+        }
+        if (this.options.gallery) {
+            return `${this.options.gallery}.ann.json`;
+        }
+    }
+
+    /**
+     * Queue index update of an identity.
+     *
+     * @param {string} id Identity
+     */
+    queueIndex(id) {
+        if (this.getIndex()) {
+            this.indexing = (this.indexing || Promise.resolve())
+                .then(() => this.updateIndex(id))
+                .catch(err => debug(`Unable to index ${id}: ${err.message}`));
+            this.saveIndex();
+        }
+    }
+
+    /**
+     * Replace indexed vectors of an identity with its gallery samples.
+     *
+     * @param {string} id Identity
+     */
+    async updateIndex(id) {
+        const index = this.getIndex();
+        const gallery = this.getGallery();
+        index.remove(id);
+        if (gallery.has(id)) {
+            for (const features of await this.getGalleryFeatures(id, index.extractor)) {
+                if (!index.keys) {
+                    index.keys = FaceFeatures.keys(features);
+                }
+                try {
+                    index.add(id, FeatureMatrix.pack(features, index.keys, this.getMetric()));
+                }
+                catch (err) {
+                    debug(`Skipping sample of ${id}: ${err.message}`);
+                }
+            }
+            index.digests[id] = gallery.digest(id);
+        }
+    }
+
+    /**
+     * Save index once pending updates are done.
+     */
+    saveIndex() {
+        const filename = this.getIndexFilename();
+        if (filename && !this.savingIndex) {
+            this.savingIndex = setTimeout(async () => {
+                await this.indexing;
+                delete this.savingIndex;
+                try {
+                    this.getIndex().save(filename, {signature: this.getIndex().signature});
+                }
+                catch (err) {
+                    debug(`Unable to save index: ${err.message}`);
+                }
+            }, 1000);
+        }
+    }
+
+    /**
+     * Get features of identity samples comparable with the extractor.
+     *
+     * @param {string} id Identity
+     * @param {FeatureExtractor} extractor Features extractor
+     * @param {FaceFeatures} probe Features to compare with
+     * @returns {Promise<FaceFeatures[]>}
+     */
+    async getGalleryFeatures(id, extractor, probe = null) {
+        const res = [];
+        for (const sample of this.getGallery().get(id) || []) {
+            let features = sample;
+            if (sample instanceof Uint8Array) {
+                try {
+                    features = await this.getSampleFeatures(sample, extractor);
+                }
+                catch (err) {
+                    if (!(err instanceof FaceError)) {
+                        throw err;
+                    }
+                    debug(`Skipping sample of ${id}: ${err.message}`);
+                    continue;
+                }
+            }
+            if (features && FaceFeatures.getExtractor(features) === extractor.id) {
+                try {
+                    if (probe) {
+                        probe.validate(features);
+                    }
+                    res.push(features);
+                }
+                catch (err) {
+                    if (!(err instanceof FaceTemplateError)) {
+                        throw err;
+                    }
+                    debug(`Skipping sample of ${id}: ${err.message}`);
+                }
+            }
+        }
+        return res;
     }
 
     normalize(data) {
@@ -108,25 +466,585 @@ class FaceId extends Identity {
         return data;
     }
 
-    async getFaces(img) {
+    /**
+     * Get face detection options, taken from `detector` option. The parent
+     * detects all faces to allow selection, so maximum faces is default to 5.
+     *
+     * @returns {object}
+     */
+    getDetectorOptions() {
+        return {maxFaces: this.options.maxFaces ?? 5, ...this.options.detector};
+    }
+
+    /**
+     * Get model registry configured using `models` option which accepts
+     * additional model directories `dirs` and pinned model `versions`.
+     *
+     * @returns {typeof LocalModel}
+     */
+    getModels() {
+        if (this.models === undefined) {
+            LocalModel.configure(this.options.models);
+            this.models = LocalModel;
+        }
+        return this.models;
+    }
+
+    /**
+     * Load and warm up face detector, disabled by setting `warmup` option
+     * to false.
+     *
+     * @returns {Promise<object|undefined>}
+     */
+    async warmup() {
+        if (this.options.warmup === undefined || this.options.warmup) {
+            try {
+                const stats = await this.getDetector().warmup();
+                debug(`Detector loaded in ${stats.loadTime} ms, warmed up in ${stats.warmupTime} ms`);
+                return stats;
+            }
+            catch (err) {
+                debug(`Detector warm up failed: ${err}`);
+            }
+        }
+    }
+
+    getDetector() {
+        this.getModels();
         if (this.detector === undefined) {
-            this.detector = new FaceDetection();
+            this.detector = FaceDetection.get(this.getDetectorOptions());
         }
-        const detection = await this.detector.getFaces(img);
+        return this.detector;
+    }
+
+    async getFaces(img) {
+        const detection = await this.getDetector().getFaces(img);
         if (detection.faces) {
+            if (detection.transform) {
+                debug(`Faces detected using fallback ${JSON.stringify(detection.transform)}`);
+            }
             return detection.faces
-                .map(landmark => new FaceLandmark({shape: detection.shape, ...landmark}));
+                .map(landmark => new FaceLandmark({shape: detection.shape, image: detection.image, ...landmark}));
         }
     }
 
-    async getFaceFeatures(img) {
-        const faces = await this.getFaces(img);
-        if (Array.isArray(faces) && faces.length) {
-            return faces.
-                map(face => face.getFeatures());
+    /**
+     * Get face selector, the request policy or the configured `select` option.
+     *
+     * @param {string|number|object} policy Selection policy
+     * @returns {FaceSelector}
+     */
+    getSelector(policy = null) {
+        return FaceSelector.from(policy ?? this.options.select);
+    }
+
+    /**
+     * Detect faces and select one of them.
+     *
+     * @param {Uint8Array} img Face image
+     * @param {string|number|object} policy Selection policy
+     * @returns {Promise<FaceLandmark|undefined>}
+     */
+    async getFace(img, policy = null) {
+        return this.getSelector(policy).select(await this.getFaces(img));
+    }
+
+    /**
+     * Run command handler and return face error as command result.
+     *
+     * @param {Function} callback Command handler
+     * @returns {any}
+     */
+    tryCmd(callback) {
+        const onerror = err => {
+            if (err instanceof FaceError) {
+                debug(`${err.name}: ${err.message}`);
+                return err.toResult();
+            }
+            throw err;
+        }
+        try {
+            const res = callback();
+            if (res instanceof Promise) {
+                return res.catch(onerror);
+            }
+            return res;
+        }
+        catch (err) {
+            return onerror(err);
+        }
+    }
+
+    /**
+     * Get template to be registered, either an image or validated features.
+     *
+     * Image is checked against enrollment quality limits when configured.
+     *
+     * @param {Uint8Array|object} data Template data
+     * @param {object} options Request options
+     * @returns {Promise<Uint8Array|FaceFeatures>}
+     * @throws {FaceTemplateError|FaceQualityError}
+     */
+    async getTemplate(data, options = null) {
+        if (data instanceof Uint8Array && !FaceTemplate.isTemplate(data)) {
+            options = options || {};
+            const limits = this.getQualityLimits('enroll', options);
+            const selector = this.getSelector(options.select);
+            if (limits || selector.isExplicit()) {
+                const face = selector.select(await this.getFaces(data));
+                if (!face) {
+                    throw new FaceError('No face detected!', 'NO_FACE');
+                }
+                if (limits) {
+                    await FaceQuality.ensure(face, face.image, limits);
+                }
+                // workers can't repeat an explicit selection, register its features instead
+                if (selector.isExplicit()) {
+                    return this.applyMetric(await this.getExtractor().extract(face, face.image));
+                }
+            }
+            return data;
+        }
+        const features = FaceFeatures.parse(data);
+        const extractor = this.getExtractor().id;
+        if (FaceFeatures.getExtractor(features) !== extractor) {
+            throw new FaceTemplateError(`Template is extracted using ${FaceFeatures.getExtractor(features)}, expected ${extractor}!`,
+                'TEMPLATE_EXTRACTOR');
+        }
+        return this.applyMetric(features);
+    }
+
+    getExtractor(extractor) {
+        this.getModels();
+        return FeatureExtractor.get(this.getExtractorSpec(extractor));
+    }
+
+    /**
+     * Get extractor spec, landmark extractor uses `markers` option when set.
+     *
+     * @param {string|object} extractor Extractor spec
+     * @returns {string|object}
+     */
+    getExtractorSpec(extractor = null) {
+        const spec = extractor ?? this.options.extractor ?? 'landmark';
+        if (this.options.markers && typeof spec === 'string' && spec.split(':')[0] === 'landmark') {
+            return {name: spec, markers: this.options.markers};
+        }
+        return spec;
+    }
+
+    /**
+     * Get distance metric, configured using `metric` and `weights` options.
+     *
+     * @returns {FeatureMetric}
+     */
+    getMetric() {
+        if (this.metric === undefined) {
+            let spec = this.options.metric ?? {};
+            if (typeof spec === 'string') {
+                spec = {name: spec};
+            }
+            if (this.options.weights && spec.weights === undefined) {
+                spec = {...spec, weights: this.options.weights};
+            }
+            // learned parameters are persisted, see learnMetric()
+            if (spec.name === MahalanobisMetric.id && spec.path === undefined && spec.whitening === undefined &&
+                this.getMetricFilename()) {
+                spec = {...spec, path: this.getMetricFilename()};
+            }
+            this.metric = FeatureMetric.create(spec);
+        }
+        return this.metric;
+    }
+
+    /**
+     * Get learned metric file name, taken from `metric.path` option or
+     * alongside the gallery.
+     *
+     * @returns {string|undefined}
+     */
+    getMetricFilename() {
+        if (this.options.metric && typeof this.options.metric === 'object' && this.options.metric.path) {
+            return this.options.metric.path;
+        }
+        if (this.options.gallery) {
+            return `${this.options.gallery}.metric.json`;
+        }
+    }
+
+    /**
+     * Learn Mahalanobis metric from gallery samples.
+     *
+     * Once applied, registered features are recorded using the learned
+     * metric, as the features values don't depend on the metric.
+     * @param {object} options Learn options
+     * @param {boolean} options.apply Use learned metric for matching, default to true
+     * @param {number} options.regularization Covariance regularization
+     * @returns {Promise<object>}
+     */
+    async learnMetric(options = null) {
+        options = options || {};
+        const extractor = this.getExtractor(options.extractor);
+        const identities = [];
+        let keys;
+        for (const id of this.getGallery().ids()) {
+            const samples = await this.getGalleryFeatures(id, extractor);
+            if (samples.length) {
+                if (keys === undefined) {
+                    keys = FaceFeatures.keys(samples[0]);
+                }
+                identities.push(samples.filter(sample => FaceFeatures.keys(sample).join() === keys.join()));
+            }
+        }
+        if (!identities.length) {
+            throw new FaceError('No gallery samples to learn the metric!', 'METRIC');
+        }
+        let metric;
+        try {
+            metric = MahalanobisMetric.learn(identities, keys, {
+                weights: options.weights ?? this.getMetric().weights,
+                regularization: options.regularization,
+            });
+        }
+        catch (err) {
+            throw new FaceError(err.message, 'METRIC');
+        }
+        if (options.apply === undefined || options.apply) {
+            // workers load the learned parameters from file rather than
+            // receiving them on each identification
+            try {
+                metric.save(this.getMetricFilename() ?? path.join(os.tmpdir(), `face-ng-metric-${metric.getDigest()}.json`));
+            }
+            catch (err) {
+                throw new FaceError(`Unable to save learned metric: ${err.message}!`, 'METRIC');
+            }
+            this.metric = metric;
+            debug(`Using learned metric ${metric.id}`);
+            const gallery = this.getGallery();
+            for (const id of gallery.ids()) {
+                const samples = gallery.get(id);
+                if (samples.some(sample => !(sample instanceof Uint8Array) && sample.metric)) {
+                    gallery.set(id, samples.map(sample => sample instanceof Uint8Array || !sample.metric ? sample :
+                        FaceFeatures.from({...sample, metric: metric.toSpec()})));
+                    this.syncTemplate(id);
+                }
+            }
+            // indexed vectors are mapped using previous metric
+            if (this.index) {
+                delete this.index;
+                this.getIndex();
+            }
+        }
+        return {metric: metric.toSpec(), samples: metric.options.samples, identities: metric.options.identities};
+    }
+
+    getLiveness() {
+        if (this.liveness === undefined) {
+            this.getModels();
+            this.liveness = new FaceLiveness(this.options.liveness);
+        }
+        return this.liveness;
+    }
+
+    /**
+     * Get required liveness threshold for identification.
+     *
+     * Liveness is required when `liveness` request option is set to true
+     * or a threshold, or when `liveness.required` option is set.
+     *
+     * @param {object} options Request options
+     * @returns {number|undefined}
+     */
+    getLivenessThreshold(options) {
+        const liveness = options.liveness ?? this.options.liveness?.required;
+        if (typeof liveness === 'number') {
+            return liveness;
+        }
+        if (liveness) {
+            return this.getLiveness().threshold;
+        }
+    }
+
+    /**
+     * Check liveness of the first face in an image.
+     *
+     * @param {Uint8Array} img Face image
+     * @returns {Promise<object|undefined>}
+     */
+    async faceLiveness(img) {
+        const face = await this.getFace(img);
+        if (face) {
+            return await this.getLiveness().check(face, face.image);
+        }
+    }
+
+    getChallenge() {
+        if (this.challenge === undefined) {
+            this.challenge = new FaceChallenge(this.options.challenge);
+        }
+        return this.challenge;
+    }
+
+    /**
+     * Run active liveness challenges over a sequence of frames.
+     *
+     * The result contains the passed challenges and the best frame index
+     * to use for identification. When `identify` option is set and all
+     * challenges are passed, the best frame is identified too.
+     *
+     * @param {Uint8Array[]} frames Face images in capture order
+     * @param {string[]} challenges Requested challenges
+     * @param {string} workid Work id
+     * @param {object} options Request options
+     * @returns {Promise<object>}
+     */
+    async faceChallenge(frames, challenges, workid, options) {
+        options = options || {};
+        const metrics = [];
+        for (const frame of frames) {
+            const face = await this.getFace(frame, options.select);
+            metrics.push(face ? this.getChallenge().measure(face) : null);
+        }
+        const res = this.getChallenge().evaluate(metrics, challenges);
+        if (options.identify && res.success && res.frame !== undefined) {
+            res.identify = await this.faceIdentify(frames[res.frame], workid, options);
+        }
+        return res;
+    }
+
+    /**
+     * Get quality limits of a stage.
+     *
+     * Limits are configured using `quality` option, stage specific limits
+     * can be set under `enroll` or `identify` key.
+     *
+     * @param {string} stage Stage, enroll or identify
+     * @param {object} options Request options
+     * @returns {object|undefined}
+     */
+    getQualityLimits(stage, options) {
+        const {enroll, identify, ...limits} = this.options.quality || {};
+        const res = {...limits, ...{enroll, identify}[stage], ...options.quality};
+        if (Object.keys(res).length) {
+            return res;
+        }
+    }
+
+    /**
+     * Get features of a gallery image sample, using features cache when
+     * `cache` option is set.
+     *
+     * @param {Uint8Array} img Face image
+     * @param {FeatureExtractor} extractor Features extractor
+     * @returns {Promise<FaceFeatures|null|undefined>}
+     */
+    async getSampleFeatures(img, extractor) {
+        const cache = this.getCache();
+        const signature = cache ? this.getCacheSignature(extractor) : null;
+        let features = cache ? cache.get(img, extractor.id, signature) : undefined;
+        if (features === undefined) {
+            const face = await this.getFace(img);
+            features = face ? await extractor.extract(face, face.image) : null;
+            if (cache && features !== undefined) {
+                cache.set(img, extractor.id, signature, features);
+            }
+        }
+        return features;
+    }
+
+    /**
+     * Get features cache shared with workers.
+     *
+     * @returns {FeatureCache|undefined}
+     */
+    getCache() {
+        if (this.options.cache) {
+            return FeatureCache.get(this.options.cache);
+        }
+    }
+
+    /**
+     * Remove cached features of the extractors which no longer match current
+     * extraction signature, e.g. after the detector or the model is changed.
+     * Other extractors are never pruned. As the cache can be shared, only
+     * signatures unused by any process for `maxAge` are removed, see
+     * `FeatureCache.prune()`.
+     *
+     * @param {object} options Prune options
+     * @param {string[]} options.extractors Extractors to prune, default to configured extractor
+     * @param {number} options.maxAge Only remove entries unused for the milliseconds, default to 7 days
+     * @returns {object}
+     * @throws {FaceError}
+     */
+    pruneCache(options = null) {
+        options = options || {};
+        const cache = this.getCache();
+        if (!cache) {
+            throw new FaceError('Features cache is not enabled!', 'INVALID_OPTION');
+        }
+        const keep = (options.extractors ?? [null])
+            .map(spec => this.getExtractor(spec))
+            .map(extractor => cache.getDir(extractor.id, this.getCacheSignature(extractor)));
+        const dirs = cache.prune({keep, maxAge: options.maxAge});
+        debug(`Cache pruned ${dirs.length} signature(s)`);
+        return {count: dirs.length};
+    }
+
+    /**
+     * Get features cache signature, must match the worker signature.
+     *
+     * @param {FeatureExtractor} extractor Features extractor
+     * @returns {object}
+     */
+    getCacheSignature(extractor) {
+        return {
+            extractor: extractor.getSignature(),
+            detector: this.getDetector().getSignature(),
+            select: this.getSelector().policy,
+        }
+    }
+
+    /**
+     * Open a streaming identification session.
+     *
+     * Sessions are limited by `stream.maxSessions` option, default to 4, and
+     * closed after `stream.timeout` milliseconds without client activity,
+     * default to 60 seconds. Client can't override the detector, the frame
+     * source is checked using `getStreamSource()`.
+     *
+     * @param {object} options Session options, see `FaceSession`
+     * @returns {FaceSession}
+     * @throws {FaceError}
+     */
+    openSession(options = null) {
+        const config = this.options.stream || {};
+        options = options || {};
+        if (options.detector !== undefined) {
+            throw new FaceError('Stream session detector can\'t be overridden!', 'INVALID_OPTION');
+        }
+        if (options.source) {
+            options = {...options, source: this.getStreamSource(options.source)};
         }
+        if (this.sessions === undefined) {
+            this.sessions = {};
+            const timeout = config.timeout ?? 60000;
+            this.sessionTimer = setInterval(() => {
+                for (const session of Object.values(this.sessions)) {
+                    if (Date.now() - session.time > timeout) {
+                        debug(`Session ${session.id} timed out`);
+                        this.closeSession(session.id);
+                    }
+                }
+            }, Math.min(timeout, 10000));
+            this.sessionTimer.unref();
+        }
+        if (Object.keys(this.sessions).length >= (config.maxSessions ?? 4)) {
+            throw new FaceError('Too many stream sessions!', 'STREAM_LIMIT');
+        }
+        const session = new FaceSession(Identity.genId(), this, options);
+        this.sessions[session.id] = session;
+        try {
+            session.open();
+        }
+        catch (err) {
+            delete this.sessions[session.id];
+            throw err;
+        }
+        debug(`Session ${session.id} opened`);
+        return session;
     }
 
+    /**
+     * Get frame source options of a client requested source.
+     *
+     * An url must start with one of `stream.urls` option prefixes and a file
+     * must be inside `stream.dir` option directory, a source is rejected when
+     * those are not configured. The `ffmpeg` and `maxFrameSize` are taken
+     * from `stream` option.
+     *
+     * @param {object} source Requested source, see `FrameSource`
+     * @returns {object}
+     * @throws {FaceError}
+     */
+    getStreamSource(source) {
+        const config = this.options.stream || {};
+        const {url, file, fps, ...rest} = source;
+        if (Object.keys(rest).length) {
+            throw new FaceError(`Stream source option ${Object.keys(rest).join(', ')} is not allowed!`, 'INVALID_OPTION');
+        }
+        if (fps !== undefined && !(fps > 0)) {
+            throw new FaceError(`Stream source fps ${fps} is not valid!`, 'INVALID_OPTION');
+        }
+        const res = {fps, ffmpeg: config.ffmpeg, maxFrameSize: config.maxFrameSize};
+        if (url) {
+            const allowed = /^https?:\/\//.test(url) && (config.urls || [])
+                .some(prefix => url.startsWith(prefix));
+            if (!allowed) {
+                throw new FaceError(`Stream url ${url} is not allowed!`, 'STREAM_SOURCE');
+            }
+            res.url = url;
+        } else if (file) {
+            let filename;
+            if (config.dir && typeof file === 'string') {
+                const dir = fs.existsSync(config.dir) ? fs.realpathSync(config.dir) : null;
+                filename = dir ? path.resolve(dir, file) : null;
+                if (filename && fs.existsSync(filename)) {
+                    filename = fs.realpathSync(filename);
+                }
+                if (filename && !filename.startsWith(dir + path.sep)) {
+                    filename = null;
+                }
+            }
+            if (!filename) {
+                throw new FaceError(`Stream file ${file} is not allowed!`, 'STREAM_SOURCE');
+            }
+            res.file = filename;
+        }
+        return res;
+    }
+
+    /**
+     * Get an open streaming session.
+     *
+     * @param {string} id Session id
+     * @returns {FaceSession}
+     * @throws {FaceError}
+     */
+    getSession(id) {
+        if (this.sessions === undefined || this.sessions[id] === undefined) {
+            throw new FaceError(`Stream session ${id} is not exist!`, 'STREAM_SESSION');
+        }
+        return this.sessions[id];
+    }
+
+    /**
+     * Close a streaming session.
+     *
+     * @param {string} id Session id
+     * @returns {Promise<object[]>} Remaining session events
+     */
+    async closeSession(id) {
+        const session = this.getSession(id);
+        delete this.sessions[id];
+        debug(`Session ${id} closed`);
+        return await session.close();
+    }
+
+    /**
+     * Detect faces and return its details.
+     *
+     * Each face includes its `box`, detection `score`, and `pose` angles,
+     * and optionally:
+     * - `face`, face box crop, enabled by default
+     * - `aligned`, padded eye aligned crop, `aligned` option accepts `size` and `padding`
+     * - `keypoints` and `contours`, mesh keypoints and keypoint indices of named contours
+     * - `preview`, image annotated with face box and mesh, `preview` option accepts `size` and `color`
+     * - `features`, `liveness`, and `quality`
+     *
+     * @param {Uint8Array} img Face image
+     * @param {object} options Detect options
+     * @returns {Promise<object[]>}
+     */
     async detectFaces(img, options = null) {
         options = options || {};
         if (options.face === undefined) {
@@ -136,32 +1054,54 @@ class FaceId extends Identity {
             options.feature = true;
         }
         const res = [];
+        const extractor = this.getExtractor(options.extractor);
         const faces = await this.getFaces(img);
         if (Array.isArray(faces) && faces.length) {
-            for (const face of faces) {
-                const data = {};
+            // face index follows selection policy order
+            for (const face of this.getSelector(options.select).order(faces)) {
+                const data = {box: FaceCrop.getBox(face)};
+                if (face.score !== undefined) {
+                    data.score = face.score;
+                }
+                if (face.pose) {
+                    data.pose = face.pose;
+                }
+                if (face.transform) {
+                    data.transform = face.transform;
+                }
                 if (options.face) {
-                    const box = {};
-                    for (const k of [['left', 'xMin'], ['top', 'yMin'], 'width', 'height']) {
-                        if (Array.isArray(k)) {
-                            box[k[0]] = Math.max(0, parseInt(face.box[k[1]]));
-                        } else {
-                            box[k] = Math.max(0, parseInt(face.box[k]));
-                        }
-                    }
-                    const faceimg = sharp(img);
-                    // only crop when detected box is smaller then the image
-                    if ((box.left + box.width) < face.shape[1] && (box.top + box.height) < face.shape[0]) {
-                        faceimg.extract(box);
-                        if (this.options.size) {
-                            const scale = this.options.size / Math.max(box.width, box.height);
-                            faceimg.resize(Math.ceil(box.width * scale), Math.ceil(box.height * scale));
+                    data.face = await FaceCrop.crop(face, {size: this.options.size});
+                }
+                if (options.aligned) {
+                    data.aligned = await FaceCrop.aligned(face, typeof options.aligned === 'object' ? options.aligned : {});
+                }
+                if (options.landmarks) {
+                    data.keypoints = Points.from(face.keypoints).toJSON();
+                    data.contours = {};
+                    face.keypoints.forEach((p, i) => {
+                        if (p.name) {
+                            if (data.contours[p.name] === undefined) {
+                                data.contours[p.name] = [];
+                            }
+                            data.contours[p.name].push(i);
                         }
-                    }
-                    data.face = await faceimg.toBuffer();
+                    });
+                }
+                if (options.preview) {
+                    data.preview = await FaceCrop.preview(face, typeof options.preview === 'object' ? options.preview : {});
                 }
                 if (options.feature) {
-                    data.features = face.getFeatures();
+                    data.features = await extractor.extract(face, face.image);
+                }
+                if (options.liveness) {
+                    data.liveness = await this.getLiveness().check(face, face.image);
+                }
+                if (options.quality === undefined || options.quality) {
+                    data.quality = await FaceQuality.assess(face, face.image);
+                    const limits = this.getQualityLimits('enroll', typeof options.quality === 'object' ? options : {});
+                    if (limits) {
+                        data.quality.failed = FaceQuality.check(data.quality, limits);
+                    }
                 }
                 res.push(data);
             }
@@ -169,10 +1109,659 @@ class FaceId extends Identity {
         return res;
     }
 
-    async faceIdentify(feature, workid) {
-        const features = await this.getFaceFeatures(feature);
-        if (Array.isArray(features)) {
-            return await this.getIdentifier().identify(this.fixWorkId(workid), features[0]);
+    /**
+     * Get probe features from an encoded template or a face image.
+     *
+     * @param {Uint8Array} feature Encoded template or face image
+     * @param {FeatureExtractor} extractor Features extractor
+     * @param {object} gates Capture checks
+     * @param {object} gates.quality Quality limits
+     * @param {number} gates.liveness Minimum liveness score
+     * @param {string|number|object} select Face selection policy
+     * @returns {Promise<FaceFeatures|undefined>}
+     */
+    async getProbe(feature, extractor, gates = null, select = null) {
+        if (this.isTemplate(feature)) {
+            return this.applyMetric(FaceFeatures.parse(feature));
+        }
+        const face = await this.getFace(feature, select);
+        if (face) {
+            return await this.getFaceProbe(face, face.image, extractor, gates);
+        }
+    }
+
+    /**
+     * Get probe features of a detected face after passing capture checks.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {Uint8Array} img Face image
+     * @param {FeatureExtractor} extractor Features extractor
+     * @param {object} gates Capture checks
+     * @returns {Promise<FaceFeatures|undefined>}
+     */
+    async getFaceProbe(face, img, extractor, gates = null) {
+        gates = gates || {};
+        if (gates.quality) {
+            await FaceQuality.ensure(face, img, gates.quality);
+        }
+        if (gates.liveness !== undefined) {
+            const liveness = await this.getLiveness().check(face, img);
+            if (liveness.score < gates.liveness) {
+                const err = new FaceLivenessError(`Face liveness score ${liveness.score.toFixed(3)} is below ${gates.liveness}!`,
+                    'LIVENESS');
+                err.liveness = liveness;
+                throw err;
+            }
+        }
+        return this.applyMetric(await extractor.extract(face, img));
+    }
+
+    /**
+     * Record current metric in features, features recorded with other metric
+     * are rejected.
+     *
+     * @param {FaceFeatures} features Features
+     * @returns {FaceFeatures}
+     * @throws {FaceTemplateError}
+     */
+    applyMetric(features) {
+        if (features) {
+            const metric = this.getMetric();
+            if (features.metric && FeatureMetric.getId(features.metric) !== metric.id) {
+                throw new FaceTemplateError(`Template is recorded using metric ${FeatureMetric.getId(features.metric)}, expected ${metric.id}!`,
+                    'TEMPLATE_METRIC');
+            }
+            features.metric = metric.toSpec();
+        }
+        return features;
+    }
+
+    isTemplate(feature) {
+        return FaceTemplate.isTemplate(feature) || !(feature instanceof Uint8Array);
+    }
+
+    /**
+     * Get capture checks of identification.
+     *
+     * @param {object} options Request options
+     * @returns {object}
+     */
+    getGates(options) {
+        return {
+            quality: this.getQualityLimits('identify', options),
+            liveness: this.getLivenessThreshold(options),
+        }
+    }
+
+    getAggregate(options) {
+        const aggregate = options.aggregate ?? this.options.aggregate ?? 'best';
+        if (!FaceSamples.MODES.includes(aggregate)) {
+            throw new FaceError(`Unsupported samples aggregation mode ${aggregate}!`, 'INVALID_OPTION');
+        }
+        return aggregate;
+    }
+
+    /**
+     * Get calibration of an extractor for current metric, configured using
+     * `calibration` option or calibrated and persisted alongside the gallery.
+     *
+     * @param {string} extractor Extractor id
+     * @returns {Calibration|undefined}
+     */
+    getCalibration(extractor) {
+        if (this.calibrations === undefined) {
+            this.calibrations = {};
+            for (const [k, v] of Object.entries(this.options.calibration || {})) {
+                this.calibrations[k] = Calibration.from(v);
+            }
+            const filename = this.getCalibrationFilename();
+            if (filename) {
+                Object.assign(this.calibrations, Calibration.load(filename));
+            }
+        }
+        return this.calibrations[this.getCalibrationKey(extractor)];
+    }
+
+    /**
+     * Get calibration key, distances of other than plain euclidean metric are
+     * on different scale so its calibration is kept apart, e.g.
+     * `rigid@mahalanobis:<digest>`. A changed metric requires calibration.
+     *
+     * @param {string} extractor Extractor id
+     * @returns {string}
+     */
+    getCalibrationKey(extractor) {
+        const metric = this.getMetric();
+        return metric.isPlain() ? extractor : [extractor, metric.id].join('@');
+    }
+
+    getCalibrationFilename() {
+        if (this.options.gallery) {
+            return `${this.options.gallery}.calibration.json`;
+        }
+    }
+
+    /**
+     * Set calibration of an extractor.
+     *
+     * @param {string} extractor Extractor id
+     * @param {Calibration} calibration Calibration
+     */
+    setCalibration(extractor, calibration) {
+        this.getCalibration(extractor);
+        this.calibrations[this.getCalibrationKey(extractor)] = calibration;
+        const filename = this.getCalibrationFilename();
+        if (filename) {
+            try {
+                Calibration.save(filename, this.calibrations);
+            }
+            catch (err) {
+                debug(`Unable to save calibration: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Get match threshold, the precedence is the request option, the
+     * calibrated threshold, the configured threshold, then the extractor
+     * default threshold. The extractor default threshold is only valid for
+     * plain euclidean metric.
+     *
+     * @param {FeatureExtractor} extractor Features extractor
+     * @param {object} options Request options
+     * @returns {number}
+     * @throws {FaceError}
+     */
+    getThreshold(extractor, options) {
+        let threshold = options.threshold ?? this.getCalibration(extractor.id)?.threshold;
+        if (threshold === undefined) {
+            threshold = this.options.threshold !== null && typeof this.options.threshold === 'object' ?
+                this.options.threshold[extractor.id] : this.options.threshold;
+        }
+        if (threshold === undefined || threshold === null) {
+            const metric = this.getMetric();
+            if (!metric.isPlain()) {
+                throw new FaceError(`Threshold of ${extractor.id} using metric ${metric.id} is unknown, calibrate or specify threshold!`,
+                    'THRESHOLD');
+            }
+        }
+        return threshold ?? extractor.threshold;
+    }
+
+    getConfidence(distance, extractor) {
+        const calibration = this.getCalibration(extractor.id);
+        return calibration ? calibration.confidence(distance) : 1 - distance;
+    }
+
+    /**
+     * Collect candidates sent by workers, also used to collect dedupe works
+     * results.
+     *
+     * Each worker sends its candidates right before its done message, and
+     * ignores stop request while ranking, so all ranges are collected once
+     * the identification is finished.
+     */
+    listenCandidates() {
+        if (this.candidates === undefined) {
+            this.candidates = {};
+            cluster.on('message', (worker, message) => {
+                if (message && message.cmd === 'candidates' && this.candidates[message.workid]) {
+                    this.candidates[message.workid].push(...message.candidates);
+                }
+            });
+        }
+    }
+
+    /**
+     * Identify a face image or template.
+     *
+     * When `all` option is set, every face in the image is identified and
+     * the result contains one result per face.
+     *
+     * @param {Uint8Array} feature Encoded template or face image
+     * @param {string} workid Work id
+     * @param {object} options Identify options
+     * @returns {Promise<object|undefined>}
+     */
+    async faceIdentify(feature, workid, options = null) {
+        options = options || {};
+        if (options.all && !this.isTemplate(feature)) {
+            return await this.faceIdentifyAll(feature, workid, options);
+        }
+        const features = await this.getProbe(feature, this.getExtractor(options.extractor), this.getGates(options),
+            options.select);
+        if (features) {
+            return await this.identifyFeatures(features, workid, options);
+        }
+    }
+
+    /**
+     * Identify every face of an image.
+     *
+     * @param {Uint8Array} img Face image
+     * @param {string} workid Work id
+     * @param {object} options Identify options
+     * @returns {Promise<object>}
+     */
+    async faceIdentifyAll(img, workid, options) {
+        const res = [];
+        const extractor = this.getExtractor(options.extractor);
+        const gates = this.getGates(options);
+        const faces = await this.getFaces(img);
+        if (Array.isArray(faces) && faces.length) {
+            workid = this.fixWorkId(workid);
+            const ordered = this.getSelector(options.select).order(faces);
+            for (let index = 0; index < ordered.length; index++) {
+                const face = ordered[index];
+                const result = await this.tryCmd(async () => {
+                    const features = await this.getFaceProbe(face, face.image, extractor, gates);
+                    if (features) {
+                        return await this.identifyFeatures(features, `${workid}-${index}`, options);
+                    }
+                });
+                res.push({index, box: face.box, ...result});
+            }
+        }
+        return {faces: res};
+    }
+
+    /**
+     * Identify probe features against the gallery.
+     *
+     * @param {FaceFeatures} features Probe features
+     * @param {string} workid Work id
+     * @param {object} options Identify options
+     * @returns {Promise<object>}
+     */
+    async identifyFeatures(features, workid, options) {
+        workid = this.fixWorkId(workid);
+        const extractor = this.getExtractor(FaceFeatures.getExtractor(features));
+        const topK = parseInt(options.topK) || 0;
+        let shortlist;
+        const index = options.ann !== false ? this.getIndex() : null;
+        if (index && index.extractor.id === extractor.id) {
+            await this.indexing;
+            if (index.keys) {
+                shortlist = this.getShortlist(features, index, topK, options);
+            }
+        }
+        if (topK > 0) {
+            this.listenCandidates();
+            this.candidates[workid] = [];
+        }
+        try {
+            const res = await this.getIdentifier().identify(workid, {
+                features,
+                options: {
+                    workid,
+                    topK,
+                    aggregate: this.getAggregate(options),
+                    threshold: this.getThreshold(extractor, options),
+                    calibration: this.getCalibration(extractor.id),
+                    ...this.getWorkOptions(extractor, options),
+                    shortlist,
+                },
+            });
+            if (topK > 0) {
+                // merge each worker candidates into global ranking
+                return {...res, ...this.getRanking(this.candidates[workid], topK, options)};
+            }
+            return res;
+        }
+        finally {
+            if (this.candidates) {
+                delete this.candidates[workid];
+            }
+        }
+    }
+
+    /**
+     * Get worker options to prepare gallery features.
+     *
+     * @param {FeatureExtractor} extractor Features extractor
+     * @param {object} options Request options
+     * @returns {object}
+     */
+    getWorkOptions(extractor, options) {
+        const selector = this.getSelector(options.select);
+        return {
+            select: selector.policy,
+            // gallery faces selected by other than configured policy or extracted
+            // by other than configured extractor must not be kept
+            update: selector.policy === this.getSelector().policy && extractor.id === this.getExtractor().id,
+            detector: this.getDetector().getOptions(),
+            models: this.getModels().getOptions(),
+            cache: this.options.cache,
+            dtype: this.options.matching?.dtype,
+            extractor: this.getExtractorSpec(extractor.id),
+            metric: this.getMetric().toJSON(),
+        }
+    }
+
+    /**
+     * Get identities closest to the probe using the index, the workers only
+     * match the shortlisted identities using exact distance.
+     *
+     * @param {FaceFeatures} features Probe features
+     * @param {HnswIndex} index Features index
+     * @param {number} topK Number of candidates
+     * @param {object} options Identify options
+     * @returns {string[]}
+     */
+    getShortlist(features, index, topK, options) {
+        const size = Math.max(this.getIndexOptions().shortlist ?? 20, topK);
+        return index.search(FeatureMatrix.pack(features, index.keys, features.getMetric()), size, options.ef)
+            .map(([id]) => id);
+    }
+
+    /**
+     * Get top candidates with the margin between the best two.
+     *
+     * @param {object[]} candidates Candidates
+     * @param {number} topK Number of candidates
+     * @param {object} options Identify options
+     * @returns {object}
+     */
+    getRanking(candidates, topK, options) {
+        candidates = [...candidates]
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, topK);
+        const margin = candidates.length > 1 ? candidates[1].distance - candidates[0].distance : null;
+        const res = {candidates, margin};
+        const minMargin = options.margin ?? this.options.margin;
+        if (minMargin !== undefined && margin !== null) {
+            res.ambiguous = margin < minMargin;
+        }
+        return res;
+    }
+
+    /**
+     * Calibrate match threshold for a target false accept rate.
+     *
+     * Each pair is either `{distance, genuine}` or `{a, b, genuine}` where
+     * `a` and `b` are encoded templates, features, or face images.
+     *
+     * @param {object[]} pairs Labelled pairs
+     * @param {object} options Calibration options
+     * @param {number} options.far Target false accept rate, default to 0.001
+     * @param {boolean} options.apply Use calibration for matching, default to true
+     * @returns {Promise<object>}
+     */
+    async calibrate(pairs, options = null) {
+        options = options || {};
+        const extractor = this.getExtractor(options.extractor);
+        const distances = [];
+        for (const pair of pairs) {
+            let distance = pair.distance;
+            if (distance === undefined && pair.a && pair.b) {
+                const a = await this.getProbe(this.normalize(pair.a), extractor);
+                const b = await this.getProbe(this.normalize(pair.b), extractor);
+                if (a && b) {
+                    distance = a.distance(b);
+                }
+            }
+            if (typeof distance === 'number') {
+                distances.push({distance, genuine: Boolean(pair.genuine)});
+            }
+        }
+        if (!distances.some(pair => !pair.genuine) || !distances.some(pair => pair.genuine)) {
+            throw new FaceError('Calibration requires both genuine and impostor pairs!', 'CALIBRATION');
+        }
+        const calibration = Calibration.fromPairs(distances);
+        const threshold = calibration.pick(options.far ?? 0.001);
+        if (options.apply === undefined || options.apply) {
+            this.setCalibration(extractor.id, calibration);
+        }
+        debug(`Calibrated ${extractor.id} threshold ${threshold} using ${distances.length} pair(s)`);
+        return {
+            extractor: extractor.id,
+            metric: this.getMetric().id,
+            threshold,
+            far: calibration.far(threshold),
+            frr: calibration.frr(threshold),
+            eer: calibration.eer(),
+            curve: calibration.curve(options.steps),
+            calibration: calibration.toJSON(),
+        }
+    }
+
+    /**
+     * Find near duplicate identities in the gallery.
+     *
+     * The comparison is split between the workers the same way as identify
+     * using two dedupe works. The first collects each identity samples
+     * centroid, the second ranks each worker range against every centroid.
+     * Identities closer than the threshold are grouped into clusters. For
+     * each identity, the nearest other identity is reported with its margin
+     * to the threshold, a negative margin means the templates collide.
+     *
+     * @param {string} workid Work id
+     * @param {object} options Dedupe options
+     * @param {number} options.threshold Duplicate distance threshold, default to match threshold
+     * @param {number} options.neighbors Nearest identities to inspect, default to 5
+     * @returns {Promise<object>}
+     */
+    async dedupe(workid, options = null) {
+        options = options || {};
+        workid = this.fixWorkId(workid);
+        const extractor = this.getExtractor(options.extractor);
+        const threshold = this.getThreshold(extractor, options);
+        const neighbors = parseInt(options.neighbors) || 5;
+        const ids = this.getGallery().ids();
+        const probes = [];
+        for (const {id, features} of await this.dedupeWork(`${workid}-centroids`, extractor, {mode: 'centroids'}, options)) {
+            try {
+                const probe = this.applyMetric(FaceFeatures.from(features));
+                if (probes.length) {
+                    probes[0].features.validate(probe);
+                }
+                probes.push({id, features: probe});
+            }
+            catch (err) {
+                if (!(err instanceof FaceTemplateError)) {
+                    throw err;
+                }
+                debug(`Skipping ${id} of dedupe: ${err.message}`);
+            }
+        }
+        const candidates = {};
+        if (probes.length) {
+            for (const candidate of await this.dedupeWork(`${workid}-rank`, extractor, {mode: 'rank', probes, neighbors}, options)) {
+                if (candidates[candidate.probe] === undefined) {
+                    candidates[candidate.probe] = [];
+                }
+                candidates[candidate.probe].push(candidate);
+            }
+        }
+        const nearest = [];
+        const pairs = new Map();
+        for (const {id} of probes) {
+            const others = (candidates[id] || [])
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, neighbors);
+            if (others.length) {
+                const [other] = others;
+                nearest.push({id, nearest: other.id, distance: other.distance, margin: other.distance - threshold});
+            } else {
+                nearest.push({id, nearest: null});
+            }
+            for (const other of others) {
+                if (other.distance < threshold) {
+                    const [a, b] = [id, other.id].sort();
+                    const key = JSON.stringify([a, b]);
+                    if (!pairs.has(key) || pairs.get(key).distance > other.distance) {
+                        pairs.set(key, {a, b, distance: other.distance});
+                    }
+                }
+            }
+        }
+        // group connected duplicate pairs
+        const parent = new Map();
+        const find = id => {
+            while (parent.has(id) && parent.get(id) !== id) {
+                id = parent.get(id);
+            }
+            return id;
+        }
+        for (const {a, b} of pairs.values()) {
+            parent.set(a, find(a));
+            parent.set(b, find(b));
+            parent.set(find(a), find(b));
+        }
+        const clusters = new Map();
+        for (const pair of pairs.values()) {
+            const root = find(pair.a);
+            if (!clusters.has(root)) {
+                clusters.set(root, {ids: new Set(), pairs: []});
+            }
+            const cluster = clusters.get(root);
+            cluster.ids.add(pair.a);
+            cluster.ids.add(pair.b);
+            cluster.pairs.push(pair);
+        }
+        debug(`Dedupe found ${clusters.size} cluster(s) of ${ids.length} identities`);
+        return {
+            extractor: extractor.id,
+            threshold,
+            count: nearest.length,
+            clusters: [...clusters.values()]
+                .map(cluster => ({ids: [...cluster.ids], pairs: cluster.pairs.sort((a, b) => a.distance - b.distance)})),
+            nearest: nearest.sort((a, b) => (a.margin ?? Infinity) - (b.margin ?? Infinity)),
+        }
+    }
+
+    /**
+     * Run a dedupe work on the workers and collect their results.
+     *
+     * @param {string} workid Work id
+     * @param {FeatureExtractor} extractor Features extractor
+     * @param {object} dedupe Dedupe work, `centroids` or `rank` mode
+     * @param {object} options Dedupe options
+     * @returns {Promise<object[]>}
+     */
+    async dedupeWork(workid, extractor, dedupe, options) {
+        this.listenCandidates();
+        this.candidates[workid] = [];
+        try {
+            // the probe only tells the extractor and metric, the probes are
+            // passed to the workers within dedupe work
+            await this.getIdentifier().identify(workid, {
+                features: this.applyMetric(FaceFeatures.from({extractor: extractor.id})),
+                options: {
+                    workid,
+                    dedupe,
+                    ...this.getWorkOptions(extractor, options),
+                },
+            });
+            return this.candidates[workid];
+        }
+        finally {
+            delete this.candidates[workid];
+        }
+    }
+
+    /**
+     * Evaluate extractors robustness against expression changes.
+     *
+     * Each subject is `{id, samples}` where a sample is `{feature, expression}`.
+     * Genuine pairs are samples of the same subject with different expression,
+     * impostor pairs are samples of different subjects. As each extractor has
+     * its own distance scale, the genuine to impostor mean distance ratio is
+     * reported for comparison, lower is better.
+     *
+     * @param {object[]} subjects Labelled subjects
+     * @param {object} options Evaluation options
+     * @param {string[]} options.extractors Extractors to evaluate, default to landmark and rigid
+     * @returns {Promise<object>}
+     */
+    async evaluate(subjects, options = null) {
+        options = options || {};
+        const stats = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            return {
+                count: sorted.length,
+                mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+                median: sorted[Math.floor(sorted.length / 2)],
+                min: sorted[0],
+                max: sorted[sorted.length - 1],
+            }
+        }
+        const res = {};
+        for (const spec of options.extractors ?? ['landmark', 'rigid']) {
+            const extractor = this.getExtractor(spec);
+            const samples = [];
+            for (const subject of subjects) {
+                for (const sample of subject.samples || []) {
+                    const features = await this.getProbe(this.normalize(sample.feature), extractor);
+                    if (features) {
+                        samples.push({id: subject.id, expression: sample.expression ?? null, features});
+                    }
+                }
+            }
+            const pairs = [];
+            const expressions = {};
+            for (let i = 0; i < samples.length; i++) {
+                for (let j = i + 1; j < samples.length; j++) {
+                    const a = samples[i], b = samples[j];
+                    const genuine = a.id === b.id;
+                    if (genuine && a.expression === b.expression && a.expression !== null) {
+                        continue;
+                    }
+                    const distance = a.features.distance(b.features);
+                    pairs.push({distance, genuine});
+                    if (genuine && a.expression !== null && b.expression !== null) {
+                        const key = [a.expression, b.expression].sort().join('/');
+                        if (expressions[key] === undefined) {
+                            expressions[key] = [];
+                        }
+                        expressions[key].push(distance);
+                    }
+                }
+            }
+            const genuine = pairs.filter(pair => pair.genuine).map(pair => pair.distance);
+            const impostor = pairs.filter(pair => !pair.genuine).map(pair => pair.distance);
+            if (!genuine.length || !impostor.length) {
+                throw new FaceError('Evaluation requires both genuine and impostor pairs!', 'EVALUATION');
+            }
+            const result = {genuine: stats(genuine), impostor: stats(impostor)};
+            result.ratio = result.genuine.mean / result.impostor.mean;
+            result.eer = Calibration.fromPairs(pairs).eer();
+            result.expressions = Object.fromEntries(Object.entries(expressions)
+                .map(([k, v]) => [k, stats(v).mean / result.impostor.mean]));
+            res[extractor.id] = result;
+            debug(`Evaluated ${extractor.id} ratio ${result.ratio} using ${pairs.length} pair(s)`);
+        }
+        return {extractors: res};
+    }
+
+    /**
+     * Verify face against registered samples of an identity.
+     *
+     * @param {string} id Claimed identity
+     * @param {Uint8Array} feature Encoded template or face image
+     * @param {object} options Verify options
+     * @returns {Promise<object|undefined>}
+     */
+    async faceVerify(id, feature, options = null) {
+        options = options || {};
+        if (!this.getIdentifier().has(id) || !this.getGallery().has(id)) {
+            throw new FaceError(`Identity ${id} is not registered!`, 'NOT_REGISTERED');
+        }
+        const aggregate = this.getAggregate(options);
+        const extractor = this.getExtractor(options.extractor);
+        const probe = await this.getProbe(feature, extractor, this.getGates(options), options.select);
+        if (probe) {
+            const probeExtractor = this.getExtractor(FaceFeatures.getExtractor(probe));
+            const samples = await this.getGalleryFeatures(id, probeExtractor, probe);
+            if (!samples.length) {
+                throw new FaceTemplateError(`Identity ${id} has no template comparable with ${FaceFeatures.getExtractor(probe)}!`,
+                    'TEMPLATE_EXTRACTOR');
+            }
+            const threshold = this.getThreshold(probeExtractor, options);
+            const distance = probe.score(new FaceSamples(samples), aggregate);
+            const accepted = distance < threshold;
+            debug(`Verify ${id}: distance ${distance} [${accepted ? 'ACCEPT' : 'REJECT'}]`);
+            return {id, distance, confidence: this.getConfidence(distance, probeExtractor), threshold, accepted};
         }
     }
 
@@ -184,7 +1773,17 @@ class FaceId extends Identity {
     }
 
     onreset() {
-        this.doCmd(this.getPrefix('clear-template'));
+        const gallery = this.getGallery();
+        if (gallery.store) {
+            // re-register persisted gallery
+            this.getIdentifier().clear();
+            for (const id of gallery.ids()) {
+                this.getIdentifier().add(id, gallery.getRecord(id));
+            }
+            this.getIndex();
+        } else {
+            this.doCmd(this.getPrefix('clear-template'));
+        }
     }
 }
 
@@ -0,0 +1,295 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const tf = require('@tensorflow/tfjs-node');
+const sharp = require('sharp');
+const FaceQuality = require('./quality');
+const LocalModel = require('./model');
+const { FaceError } = require('./errors');
+
+/**
+ * Passive liveness or presentation attack detection.
+ *
+ * Checks:
+ * - `texture`, high frequency detail of the face crop, recaptured prints and
+ *   screens lose fine skin texture
+ * - `moire`, absence of isolated high frequency peaks in the face crop
+ *   spectrum which are typical for screen replay
+ * - `depth`, 3D consistency of the face mesh, the nose to cheeks depth
+ *   relative to face width
+ * - `model`, live probability of local anti spoofing model, only when
+ *   the model variation is configured, no model is bundled so it must be
+ *   placed in one of the model directories
+ *
+ * Each check yields a live score between 0 and 1, the final score is
+ * weighted mean of the available checks.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceLiveness {
+
+    static SIZE = 64
+    static WEIGHTS = {texture: 1, moire: 1, depth: 1, model: 3}
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {string} options.model Anti spoofing model name
+     * @param {string} options.variation Anti spoofing model variation
+     * @param {number} options.size Anti spoofing model input size
+     * @param {number} options.scale Face box scale of anti spoofing model crop
+     * @param {number} options.liveIndex Index of live class in model output
+     * @param {number} options.threshold Minimum score to be considered live
+     * @throws {FaceError}
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.model = this.options.model ?? 'anti-spoofing';
+        this.variation = this.options.variation ?? null;
+        this.size = this.options.size ?? 80;
+        this.scale = this.options.scale ?? 2.7;
+        this.liveIndex = this.options.liveIndex ?? 1;
+        this.threshold = this.options.threshold ?? 0.5;
+        this.weights = {...this.constructor.WEIGHTS, ...this.options.weights};
+        this.tfjsBackend = this.options.tfjsBackend ?? 'cpu';
+        if (this.variation && LocalModel.getFilename(this.model, this.variation) === undefined) {
+            throw new FaceError(`Anti spoofing model ${this.model} with variation ${this.variation} is not found!`,
+                'MODEL');
+        }
+    }
+
+    /**
+     * Check face liveness.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {string|Buffer|Uint8Array} img Face image data
+     * @returns {Promise<object>}
+     */
+    async check(face, img) {
+        if (typeof img === 'string' && fs.existsSync(img)) {
+            img = fs.readFileSync(img);
+        }
+        const checks = {};
+        const [height, width] = face.shape || [];
+        if (width && height) {
+            const box = FaceQuality.getBox(face.box, width, height);
+            if (box.width > 2 && box.height > 2) {
+                Object.assign(checks, await this.checkSpectrum(img, box));
+            }
+            if (this.hasModel()) {
+                checks.model = await this.checkModel(img, face.box, width, height);
+            }
+        }
+        const depth = this.checkDepth(face);
+        if (depth !== undefined) {
+            checks.depth = depth;
+        }
+        let sum = 0, weight = 0;
+        for (const [k, v] of Object.entries(checks)) {
+            sum += v * (this.weights[k] ?? 1);
+            weight += this.weights[k] ?? 1;
+        }
+        const score = weight ? sum / weight : 0;
+        return {score, live: score >= this.threshold, checks};
+    }
+
+    /**
+     * Analyze spectrum of grayscale face crop.
+     *
+     * @param {Buffer|Uint8Array} img Face image data
+     * @param {object} box Face box clamped to image
+     * @returns {Promise<object>}
+     */
+    async checkSpectrum(img, box) {
+        const n = this.constructor.SIZE;
+        const gray = await sharp(img)
+            .extract(box)
+            .greyscale()
+            .resize(n, n, {fit: 'fill'})
+            .raw()
+            .toBuffer();
+        const power = this.constructor.spectrum(gray, n);
+        let total = 0, high = 0, peak = 0, count = 0;
+        for (let v = 0; v < n; v++) {
+            for (let u = 0; u < n; u++) {
+                const fu = u <= n / 2 ? u : n - u;
+                const fv = v <= n / 2 ? v : n - v;
+                const r = Math.sqrt(fu * fu + fv * fv);
+                if (r === 0) {
+                    continue;
+                }
+                const p = power[v * n + u];
+                total += p;
+                if (r > n / 4) {
+                    high += p;
+                    peak = Math.max(peak, p);
+                    count++;
+                }
+            }
+        }
+        const clamp = x => Math.max(0, Math.min(1, x));
+        const hf = total ? high / total : 0;
+        const peakiness = high ? peak / (high / count) : 0;
+        return {
+            texture: clamp(hf / (this.options.textureRatio ?? 0.05)),
+            moire: clamp(1 - (peakiness - 10) / (this.options.moirePeak ?? 40)),
+        }
+    }
+
+    /**
+     * Check face mesh depth consistency.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @returns {number|undefined}
+     */
+    checkDepth(face) {
+        const points = face.points ? face.points.points : [];
+        // nose tip, left cheek, right cheek
+        const [nose, left, right] = [1, 234, 454].map(i => points[i]);
+        if (nose && left && right) {
+            const width = Math.abs(right.x - left.x);
+            if (width > 0) {
+                const depth = ((left.z + right.z) / 2 - nose.z) / width;
+                const expected = this.options.depthRatio ?? 0.3;
+                return Math.max(0, Math.min(1, depth / expected));
+            }
+        }
+    }
+
+    /**
+     * Check if anti spoofing model is configured.
+     *
+     * @returns {boolean}
+     */
+    hasModel() {
+        return this.variation !== null;
+    }
+
+    /**
+     * Load anti spoofing graph model.
+     *
+     * @returns {Promise<tf.GraphModel>}
+     */
+    async getModel() {
+        if (this.graph === undefined) {
+            this.graph = await tf.loadGraphModel(await LocalModel.create(this.model, this.variation));
+        }
+        return this.graph;
+    }
+
+    /**
+     * Get live probability using anti spoofing model.
+     *
+     * @param {Buffer|Uint8Array} img Face image data
+     * @param {object} box Face box
+     * @param {number} width Image width
+     * @param {number} height Image height
+     * @returns {Promise<number>}
+     */
+    async checkModel(img, box, width, height) {
+        let backend;
+        const model = await this.getModel();
+        if (this.tfjsBackend && this.tfjsBackend !== tf.getBackend()) {
+            backend = tf.getBackend();
+            await tf.setBackend(this.tfjsBackend);
+        }
+        try {
+            const cx = box.xMin + box.width / 2;
+            const cy = box.yMin + box.height / 2;
+            const half = Math.max(box.width, box.height) * this.scale / 2;
+            const crop = [[(cy - half) / height, (cx - half) / width, (cy + half) / height, (cx + half) / width]];
+            const probs = tf.tidy(() => {
+                const image = tf.node.decodeImage(img, 3).toFloat().expandDims(0);
+                const input = tf.image.cropAndResize(image, crop, [0], [this.size, this.size]);
+                const output = model.predict(input.div(255));
+                return (Array.isArray(output) ? output[0] : output).softmax().flatten();
+            });
+            const res = (await probs.data())[this.liveIndex];
+            tf.dispose(probs);
+            return res;
+        }
+        finally {
+            if (backend) {
+                await tf.setBackend(backend);
+            }
+        }
+    }
+
+    /**
+     * Compute 2D power spectrum of square grayscale image using separable DFT.
+     *
+     * @param {Uint8Array} gray Grayscale pixels
+     * @param {number} n Image size
+     * @returns {Float64Array}
+     */
+    static spectrum(gray, n) {
+        const cos = new Float64Array(n * n);
+        const sin = new Float64Array(n * n);
+        for (let k = 0; k < n; k++) {
+            for (let t = 0; t < n; t++) {
+                cos[k * n + t] = Math.cos(2 * Math.PI * k * t / n);
+                sin[k * n + t] = -Math.sin(2 * Math.PI * k * t / n);
+            }
+        }
+        let mean = 0;
+        for (const v of gray) {
+            mean += v;
+        }
+        mean /= gray.length;
+        // rows
+        const re = new Float64Array(n * n);
+        const im = new Float64Array(n * n);
+        for (let y = 0; y < n; y++) {
+            for (let k = 0; k < n; k++) {
+                let sr = 0, si = 0;
+                for (let t = 0; t < n; t++) {
+                    const v = gray[y * n + t] - mean;
+                    sr += v * cos[k * n + t];
+                    si += v * sin[k * n + t];
+                }
+                re[y * n + k] = sr;
+                im[y * n + k] = si;
+            }
+        }
+        // columns
+        const res = new Float64Array(n * n);
+        for (let u = 0; u < n; u++) {
+            for (let k = 0; k < n; k++) {
+                let sr = 0, si = 0;
+                for (let t = 0; t < n; t++) {
+                    const c = cos[k * n + t], s = sin[k * n + t];
+                    const r = re[t * n + u], i = im[t * n + u];
+                    sr += r * c - i * s;
+                    si += r * s + i * c;
+                }
+                res[k * n + u] = sr * sr + si * si;
+            }
+        }
+        return res;
+    }
+}
+
+module.exports = FaceLiveness;
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { FaceFeatures, FaceSamples } = require('./face');
+const { FeatureMetric } = require('./metric');
+
+/**
+ * Gallery features packed into a contiguous matrix for batched matching.
+ *
+ * Each row holds the features of a sample ordered by the probe markers,
+ * mapped into the probe metric space. Distances are computed using typed
+ * array kernels and aggregated per gallery entry. The default float64
+ * storage gives distances identical to `FaceFeatures.distance()`, float32
+ * storage halves the memory at the cost of precision.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FeatureMatrix {
+
+    /**
+     * Constructor.
+     *
+     * @param {string[]} keys Features markers
+     * @param {number} dim Row dimension
+     * @param {object} options Options
+     * @param {string} options.dtype Storage type, float64 or float32
+     * @param {FeatureMetric} options.metric Distance metric
+     */
+    constructor(keys, dim, options = null) {
+        options = options || {};
+        this.keys = keys;
+        this.dim = dim;
+        this.metric = options.metric ?? FeatureMetric.create();
+        this.dtype = options.dtype ?? 'float64';
+        this.rows = 0;
+        this.owners = [];
+        this.counts = [];
+        this.data = this.allocate(16);
+    }
+
+    allocate(rows) {
+        return this.dtype === 'float32' ? new Float32Array(rows * this.dim) : new Float64Array(rows * this.dim);
+    }
+
+    /**
+     * Pack features into a row.
+     *
+     * @param {FaceFeatures|object} features Features
+     * @param {number} owner Gallery entry
+     */
+    addRow(features, owner) {
+        if ((this.rows + 1) * this.dim > this.data.length) {
+            const data = this.allocate(this.rows * 2);
+            data.set(this.data);
+            this.data = data;
+        }
+        this.data.set(this.constructor.pack(features, this.keys, this.metric), this.rows * this.dim);
+        this.owners.push(owner);
+        this.counts[owner] = (this.counts[owner] || 0) + 1;
+        this.rows++;
+    }
+
+    /**
+     * Compute distance of probe to each row.
+     *
+     * @param {Float64Array} probe Packed probe features
+     * @returns {Float64Array}
+     */
+    distances(probe) {
+        const res = new Float64Array(this.rows);
+        const data = this.data;
+        const dim = this.dim;
+        const metric = this.metric;
+        for (let r = 0, offset = 0; r < this.rows; r++, offset += dim) {
+            let sum = 0;
+            for (let i = 0; i < dim; i++) {
+                const d = probe[i] - data[offset + i];
+                sum += d * d;
+            }
+            res[r] = metric.reduce(sum);
+        }
+        return res;
+    }
+
+    /**
+     * Compute aggregated distance of probe to each gallery entry.
+     *
+     * @param {FaceFeatures} probe Probe features
+     * @param {string} mode Samples aggregation mode, best or mean
+     * @returns {Float64Array} Distances, NaN for entry without samples
+     */
+    scores(probe, mode = 'best') {
+        // find and rank of the same probe share the scores
+        if (this.last && this.last.probe === probe && this.last.mode === mode) {
+            return this.last.scores;
+        }
+        const distances = this.distances(this.constructor.pack(probe, this.keys, this.metric));
+        const res = new Float64Array(this.counts.length).fill(NaN);
+        for (let r = 0; r < this.rows; r++) {
+            const owner = this.owners[r];
+            const current = res[owner];
+            switch (mode) {
+                case 'mean':
+                    res[owner] = (Number.isNaN(current) ? 0 : current) + distances[r];
+                    break;
+                default:
+                    if (Number.isNaN(current) || distances[r] < current) {
+                        res[owner] = distances[r];
+                    }
+            }
+        }
+        if (mode === 'mean') {
+            for (let i = 0; i < res.length; i++) {
+                res[i] /= this.counts[i];
+            }
+        }
+        this.last = {probe, mode, scores: res};
+        return res;
+    }
+
+    /**
+     * Find closest entry below threshold.
+     *
+     * @param {FaceFeatures} probe Probe features
+     * @param {number} threshold Match threshold
+     * @param {string} mode Samples aggregation mode
+     * @returns {Array} Entry index and distance
+     */
+    find(probe, threshold, mode = 'best') {
+        let index, conf;
+        const scores = this.scores(probe, mode);
+        for (let i = 0; i < scores.length; i++) {
+            if (scores[i] < threshold && (conf === undefined || scores[i] < conf)) {
+                conf = scores[i];
+                index = i;
+            }
+        }
+        return [index, conf];
+    }
+
+    /**
+     * Get closest entries regardless of threshold.
+     *
+     * @param {FaceFeatures} probe Probe features
+     * @param {number} count Number of closest entries
+     * @param {string} mode Samples aggregation mode
+     * @returns {Array[]} Pairs of entry index and distance ordered by distance
+     */
+    rank(probe, count, mode = 'best') {
+        const scores = this.scores(probe, mode);
+        const res = [];
+        for (let i = 0; i < scores.length; i++) {
+            if (!Number.isNaN(scores[i])) {
+                res.push([i, scores[i]]);
+            }
+        }
+        return res
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, count);
+    }
+
+    /**
+     * Pack features values ordered by markers.
+     *
+     * @param {FaceFeatures|object} features Features
+     * @param {string[]} keys Markers
+     * @param {FeatureMetric} metric Metric to map the values
+     * @returns {Float64Array}
+     */
+    static pack(features, keys, metric = null) {
+        if (metric && !metric.isPlain()) {
+            return metric.vector(features, keys);
+        }
+        const res = new Float64Array(keys.reduce((a, k) => a + features[k].length, 0));
+        let offset = 0;
+        for (const k of keys) {
+            res.set(features[k], offset);
+            offset += features[k].length;
+        }
+        return res;
+    }
+
+    /**
+     * Create matrix of gallery features comparable with the probe.
+     *
+     * @param {FaceFeatures} probe Probe features
+     * @param {Array<FaceFeatures|FaceSamples>} featuresList Gallery features
+     * @param {object} options Options
+     * @param {string} options.mode Samples aggregation mode, centroid packs samples centroid
+     * @param {string} options.dtype Storage type, float64 or float32
+     * @returns {FeatureMatrix}
+     */
+    static from(probe, featuresList, options = null) {
+        options = options || {};
+        const keys = FaceFeatures.keys(probe);
+        const dim = keys.reduce((a, k) => a + probe[k].length, 0);
+        const res = new this(keys, dim, {...options, metric: probe.getMetric()});
+        featuresList.forEach((features, owner) => {
+            res.counts[owner] = 0;
+            if (FaceSamples.isSamples(features)) {
+                const samples = FaceSamples.from(features);
+                if (options.mode === 'centroid') {
+                    if (samples.centroid()) {
+                        res.addRow(samples.centroid(), owner);
+                    }
+                } else {
+                    samples.samples.forEach(sample => res.addRow(sample, owner));
+                }
+            } else {
+                res.addRow(features, owner);
+            }
+        });
+        return res;
+    }
+}
+
+module.exports = FeatureMatrix;
\ No newline at end of file
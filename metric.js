@@ -0,0 +1,427 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { FaceError } = require('./errors');
+
+/**
+ * Base class of features distance metric.
+ *
+ * A metric maps features into a vector space where the distance is derived
+ * from the squared euclidean distance, so the same kernel serves batched
+ * matching. Per marker weights scale the contribution of each marker.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FeatureMetric {
+
+    static id = 'euclidean'
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {object} options.weights Weights keyed by marker name, default to 1
+     */
+    constructor(options) {
+        this.options = options || {};
+        this.weights = this.options.weights || {};
+    }
+
+    /**
+     * Get metric id which is unique for the metric configuration.
+     *
+     * @property {string}
+     */
+    get id() {
+        const digest = this.getDigest();
+        return digest ? [this.constructor.id, digest].join(':') : this.constructor.id;
+    }
+
+    /**
+     * Is this the plain unweighted euclidean metric?
+     *
+     * @returns {boolean}
+     */
+    isPlain() {
+        return this.constructor === FeatureMetric && !Object.keys(this.weights).length;
+    }
+
+    /**
+     * Get digest of metric parameters.
+     *
+     * @returns {string|undefined}
+     */
+    getDigest() {
+        if (Object.keys(this.weights).length) {
+            return this.constructor.hash(JSON.stringify(this.weights));
+        }
+    }
+
+    /**
+     * Map features into metric space.
+     *
+     * @param {object} features Features
+     * @param {string[]} keys Markers order
+     * @returns {Float64Array}
+     */
+    vector(features, keys) {
+        const res = new Float64Array(keys.reduce((a, k) => a + features[k].length, 0));
+        let offset = 0;
+        for (const k of keys) {
+            const w = Math.sqrt(this.weights[k] ?? 1);
+            for (const v of features[k]) {
+                res[offset++] = w === 1 ? v : v * w;
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Convert sum of squared differences into distance.
+     *
+     * @param {number} sum Sum of squared differences
+     * @returns {number}
+     */
+    reduce(sum) {
+        return Math.sqrt(sum);
+    }
+
+    /**
+     * Calculate distance of two features.
+     *
+     * @param {object} a Features
+     * @param {object} b Features
+     * @param {string[]} keys Markers order
+     * @returns {number}
+     */
+    distance(a, b, keys) {
+        const v1 = this.vector(a, keys);
+        const v2 = this.vector(b, keys);
+        let sum = 0;
+        for (let i = 0; i < v1.length; i++) {
+            const d = v1[i] - v2[i];
+            sum += d * d;
+        }
+        return this.reduce(sum);
+    }
+
+    /**
+     * Get metric configuration to be recorded in features.
+     *
+     * @returns {object}
+     */
+    toSpec() {
+        const res = {name: this.constructor.id};
+        if (Object.keys(this.weights).length) {
+            res.weights = this.weights;
+        }
+        const digest = this.getDigest();
+        if (digest) {
+            res.digest = digest;
+        }
+        return res;
+    }
+
+    toJSON() {
+        return {...this.options, name: this.constructor.id};
+    }
+
+    static hash(data) {
+        return crypto.createHash('sha256').update(data).digest('hex').substr(0, 16);
+    }
+
+    /**
+     * Register a metric.
+     *
+     * @param {typeof FeatureMetric} metric Metric class
+     */
+    static register(metric) {
+        if (FeatureMetric._metrics === undefined) {
+            FeatureMetric._metrics = {};
+        }
+        FeatureMetric._metrics[metric.id] = metric;
+    }
+
+    /**
+     * Create metric.
+     *
+     * @param {string|object} spec Metric name or options with `name`
+     * @returns {FeatureMetric}
+     * @throws {FaceError}
+     */
+    static create(spec) {
+        if (spec instanceof FeatureMetric) {
+            return spec;
+        }
+        let options = {};
+        if (spec && typeof spec === 'object') {
+            ({name: spec, ...options} = spec);
+        }
+        const metric = FeatureMetric._metrics[spec || FeatureMetric.id];
+        if (metric === undefined) {
+            throw new FaceError(`Feature metric ${spec} is not exist!`, 'INVALID_OPTION');
+        }
+        const res = new metric(options);
+        if (FeatureMetric._instances === undefined) {
+            FeatureMetric._instances = {};
+        }
+        // reuse known instance, learned parameters may be heavy
+        if (FeatureMetric._instances[res.id] === undefined) {
+            FeatureMetric._instances[res.id] = res;
+        }
+        return FeatureMetric._instances[res.id];
+    }
+
+    /**
+     * Get metric id of recorded features configuration.
+     *
+     * @param {object} spec Recorded metric configuration
+     * @returns {string}
+     */
+    static getId(spec) {
+        return spec.digest ? [spec.name, spec.digest].join(':') : spec.name;
+    }
+
+    /**
+     * Get metric of recorded features configuration.
+     *
+     * @param {object} spec Recorded metric configuration
+     * @returns {FeatureMetric|undefined}
+     */
+    static get(spec) {
+        if (!spec) {
+            return this.create();
+        }
+        const id = this.getId(spec);
+        if (FeatureMetric._instances && FeatureMetric._instances[id]) {
+            return FeatureMetric._instances[id];
+        }
+        if (spec.name !== MahalanobisMetric.id) {
+            return this.create({name: spec.name, weights: spec.weights});
+        }
+    }
+}
+
+/**
+ * Cosine distance, one minus cosine similarity of the weighted features.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class CosineMetric extends FeatureMetric {
+
+    static id = 'cosine'
+
+    vector(features, keys) {
+        const res = super.vector(features, keys);
+        const norm = Math.sqrt(res.reduce((a, b) => a + b * b, 0));
+        if (norm > 0) {
+            for (let i = 0; i < res.length; i++) {
+                res[i] /= norm;
+            }
+        }
+        return res;
+    }
+
+    reduce(sum) {
+        // squared distance of unit vectors is 2 - 2 cos
+        return sum / 2;
+    }
+}
+
+/**
+ * Mahalanobis distance using a covariance learned from enrolled samples.
+ *
+ * The inverse covariance is factored into a whitening matrix, so the
+ * distance is the euclidean distance of whitened features.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class MahalanobisMetric extends FeatureMetric {
+
+    static id = 'mahalanobis'
+
+    constructor(options) {
+        super(options);
+        if (this.options.path && this.options.whitening === undefined && fs.existsSync(this.options.path)) {
+            Object.assign(this.options, JSON.parse(fs.readFileSync(this.options.path)));
+        }
+        this.whitening = this.options.whitening;
+    }
+
+    getDigest() {
+        if (this.whitening) {
+            return this.constructor.hash(JSON.stringify([this.weights, this.whitening]));
+        }
+        return super.getDigest();
+    }
+
+    vector(features, keys) {
+        const v = super.vector(features, keys);
+        if (!this.whitening) {
+            return v;
+        }
+        if (this.whitening.length !== v.length) {
+            throw new Error(`Metric is learned for ${this.whitening.length} values, got ${v.length}!`);
+        }
+        const res = new Float64Array(v.length);
+        for (let i = 0; i < v.length; i++) {
+            const row = this.whitening[i];
+            let sum = 0;
+            for (let j = 0; j <= i; j++) {
+                sum += row[j] * v[j];
+            }
+            res[i] = sum;
+        }
+        return res;
+    }
+
+    toJSON() {
+        const {path, ...options} = this.options;
+        // let others load the learned parameters from file
+        if (path && fs.existsSync(path)) {
+            return {name: this.constructor.id, path, weights: this.options.weights};
+        }
+        return {...options, name: this.constructor.id};
+    }
+
+    /**
+     * Save learned parameters.
+     *
+     * @param {string} filename File name
+     */
+    save(filename) {
+        const {path, ...options} = this.options;
+        fs.writeFileSync(filename, JSON.stringify(options));
+        this.options.path = filename;
+    }
+
+    /**
+     * Learn covariance from samples of identities.
+     *
+     * Within identity variation is used when identities have several
+     * samples, otherwise the overall variation. The covariance is
+     * regularized to keep it invertible.
+     *
+     * @param {Array<object[]>} identities Features samples of each identity
+     * @param {string[]} keys Markers order
+     * @param {object} options Learn options
+     * @param {object} options.weights Marker weights
+     * @param {number} options.regularization Regularization relative to mean variance
+     * @returns {MahalanobisMetric}
+     */
+    static learn(identities, keys, options = null) {
+        options = options || {};
+        const base = new FeatureMetric({weights: options.weights});
+        const groups = identities
+            .map(samples => samples.map(features => base.vector(features, keys)))
+            .filter(samples => samples.length);
+        const within = groups.some(samples => samples.length > 1);
+        const vectors = within ? groups.filter(samples => samples.length > 1) : [groups.flat()];
+        const n = vectors.reduce((a, b) => a + b.length, 0);
+        if (n < 2) {
+            throw new Error('Not enough samples to learn the metric!');
+        }
+        const dim = vectors[0][0].length;
+        const cov = Array.from({length: dim}, () => new Float64Array(dim));
+        let dof = 0;
+        for (const samples of vectors) {
+            const mean = new Float64Array(dim);
+            samples.forEach(v => v.forEach((x, i) => mean[i] += x / samples.length));
+            for (const v of samples) {
+                for (let i = 0; i < dim; i++) {
+                    const di = v[i] - mean[i];
+                    for (let j = 0; j <= i; j++) {
+                        cov[i][j] += di * (v[j] - mean[j]);
+                    }
+                }
+            }
+            dof += samples.length - 1;
+        }
+        let trace = 0;
+        for (let i = 0; i < dim; i++) {
+            for (let j = 0; j <= i; j++) {
+                cov[i][j] /= dof;
+                cov[j][i] = cov[i][j];
+            }
+            trace += cov[i][i];
+        }
+        const lambda = (options.regularization ?? 0.1) * (trace / dim || 1);
+        for (let i = 0; i < dim; i++) {
+            cov[i][i] += lambda;
+        }
+        return this.create({
+            name: this.id,
+            weights: options.weights,
+            whitening: this.whiten(cov),
+            samples: n,
+            identities: groups.length,
+        });
+    }
+
+    /**
+     * Compute whitening matrix W, lower triangular, so W'W is the inverse
+     * of the covariance, using Cholesky decomposition.
+     *
+     * @param {Float64Array[]} cov Covariance matrix
+     * @returns {number[][]}
+     */
+    static whiten(cov) {
+        const n = cov.length;
+        const L = Array.from({length: n}, () => new Float64Array(n));
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = cov[i][j];
+                for (let k = 0; k < j; k++) {
+                    sum -= L[i][k] * L[j][k];
+                }
+                L[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / L[j][j];
+            }
+        }
+        // inverse of lower triangular matrix
+        const W = Array.from({length: n}, () => new Float64Array(n));
+        for (let i = 0; i < n; i++) {
+            W[i][i] = 1 / L[i][i];
+            for (let j = 0; j < i; j++) {
+                let sum = 0;
+                for (let k = j; k < i; k++) {
+                    sum -= L[i][k] * W[k][j];
+                }
+                W[i][j] = sum / L[i][i];
+            }
+        }
+        return W.map(row => Array.from(row));
+    }
+}
+
+FeatureMetric.register(FeatureMetric);
+FeatureMetric.register(CosineMetric);
+FeatureMetric.register(MahalanobisMetric);
+
+module.exports = {
+    FeatureMetric,
+    CosineMetric,
+    MahalanobisMetric,
+}
\ No newline at end of file
@@ -24,9 +24,12 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { io } = require('@tensorflow/tfjs-core');
 const gunzip = require('gunzip-maybe');
 const tar = require('tar-stream');
+const { FaceError } = require('./errors');
+const debug = require('debug')('identity:face-ng:model');
 
 /**
  * Provides local model to be used in tfjs detection.
@@ -54,10 +57,12 @@ class TfjsLocalModel {
      *
      * @param {string} name Model name
      * @param {string} variation Model variation
+     * @param {number} version Model version, default to pinned or latest version
      */
-    constructor(name, variation) {
+    constructor(name, variation, version = null) {
         this.name = name;
         this.variation = variation;
+        this.version = version;
     }
 
     /**
@@ -126,14 +131,11 @@ class TfjsLocalModel {
      */
     async findArtifacts() {
         if (this.artifacts === undefined) {
-            const model = [this.name, this.variation].join('/');
-            const models = this.constructor.models;
-            if (models[model] === undefined) {
-                throw new Error(`Model ${this.name} with variation ${this.variation} is not exist!`);
+            const model = this.constructor.getModel(this.name, this.variation, this.version);
+            if (model === undefined) {
+                throw new Error(`Model ${this.name} with variation ${this.variation}${this.version ? ` version ${this.version}` : ''} is not exist!`);
             }
-            const filename = Object.keys(models[model]).pop();
-            const {modelJson, loadWeights} = await this.extractArtifacts(filename);
-            this.artifacts = await io.getModelArtifactsForJSON(modelJson, loadWeights);
+            this.artifacts = await this.constructor.load(model);
         }
         return this.artifacts;
     }
@@ -148,45 +150,328 @@ class TfjsLocalModel {
     }
 
     /**
-     * Get all model tar archive from model directory.
+     * Load model artifacts. Artifacts are cached per process, so an archive
+     * is only verified and extracted once.
+     *
+     * @param {object} model Model
+     * @returns {Promise<io.ModelArtifacts>}
+     */
+    static load(model) {
+        if (this._artifacts === undefined) {
+            this._artifacts = {};
+        }
+        if (this._artifacts[model.filename] === undefined) {
+            this._artifacts[model.filename] = (async () => {
+                const start = Date.now();
+                await this.verify(model);
+                const {modelJson, loadWeights} = await new this(model.name, model.variation, model.version)
+                    .extractArtifacts(model.filename);
+                const artifacts = await io.getModelArtifactsForJSON(modelJson, loadWeights);
+                this.getStats()[model.filename] = {
+                    name: model.name,
+                    variation: model.variation,
+                    version: model.version,
+                    loadTime: Date.now() - start,
+                    weightBytes: [].concat(artifacts.weightData || []).reduce((a, b) => a + b.byteLength, 0),
+                    uses: 0,
+                }
+                return artifacts;
+            })();
+            this._artifacts[model.filename].catch(() => delete this._artifacts[model.filename]);
+        }
+        return this._artifacts[model.filename]
+            .then(artifacts => {
+                this.getStats()[model.filename].uses++;
+                return artifacts;
+            });
+    }
+
+    /**
+     * Get loaded models statistic keyed by archive file name, which includes
+     * extraction time in milliseconds and weights size in bytes.
+     *
+     * @returns {object}
+     */
+    static getStats() {
+        if (this._stats === undefined) {
+            this._stats = {};
+        }
+        return this._stats;
+    }
+
+    /**
+     * Release cached model artifacts.
+     *
+     * @param {string} filename Archive file name, all when omitted
+     */
+    static release(filename = null) {
+        for (const key of filename ? [filename] : Object.keys(this._artifacts || {})) {
+            if (this._artifacts) {
+                delete this._artifacts[key];
+            }
+            if (this._stats) {
+                delete this._stats[key];
+            }
+        }
+    }
+
+    /**
+     * Get all models from model directories, keyed by `name/variation` with
+     * each model versions sorted in ascending order.
+     *
+     * A model directory may contain `manifest.json` which lists its models
+     * version, archive file, SHA-256 checksum and input spec. Archives which
+     * are not in the manifest are registered by their file name, e.g.
+     * `face-detection-tfjs-short-v1.tar.gz`. When the same model version
+     * exists in several directories, the first directory wins.
      *
      * @property {object}
      */
     static get models() {
         if (this._models === undefined) {
-            if (this._modeldir === undefined) {
-                this._modeldir = path.join(__dirname, 'model');
+            const models = {};
+            const add = model => {
+                const key = [model.name, model.variation].join('/');
+                if (models[key] === undefined) {
+                    models[key] = [];
+                }
+                if (!models[key].some(m => m.version === model.version)) {
+                    models[key].push(model);
+                }
             }
-            this._models = {};
-            fs.readdirSync(this._modeldir, {withFileTypes: true})
-                .filter(f => f.isFile() && f.name.endsWith('.tar.gz'))
-                .forEach(f => {
-                    const parts = f.name.substr(0, f.name.length - 7).split('-tfjs-');
-                    if (parts.length > 1) {
-                        const vers = parts[1].match(/\-v(\d+)/);
-                        if (vers.length) {
-                            const model = [parts[0], parts[1].substr(0, parts[1].length - vers[0].length)].join('/');
-                            if (this.models[model] === undefined) {
-                                this.models[model] = {};
-                            }
-                            this.models[model][path.join(this._modeldir, f.name)] = parseInt(vers[1]);
-                            if (Object.keys(this.models[model]).length > 1) {
-                                this.models[model].sort((a, b) => a - b);
-                            }
-                        }
+            for (const dir of this.getModelDirs()) {
+                if (!fs.existsSync(dir)) {
+                    continue;
+                }
+                const manifest = this.readManifest(dir);
+                const files = manifest.map(model => model.file);
+                manifest.forEach(model => {
+                    const filename = path.join(dir, model.file);
+                    // a listed but missing archive must never be picked
+                    if (fs.existsSync(filename)) {
+                        add({...model, dir, filename});
+                    } else {
+                        debug(`Skipping missing model ${filename}`);
                     }
                 });
+                fs.readdirSync(dir, {withFileTypes: true})
+                    .filter(f => f.isFile() && f.name.endsWith('.tar.gz') && !files.includes(f.name))
+                    .forEach(f => {
+                        const matches = f.name.match(/^(.+)\-tfjs\-(.+)\-v(\d+)\.tar\.gz$/);
+                        if (matches) {
+                            add({
+                                name: matches[1],
+                                variation: matches[2],
+                                version: parseInt(matches[3]),
+                                file: f.name,
+                                dir,
+                                filename: path.join(dir, f.name),
+                            });
+                        }
+                    });
+            }
+            for (const key of Object.keys(models)) {
+                models[key].sort((a, b) => a.version - b.version);
+            }
+            this._models = models;
         }
         return this._models;
     }
 
+    /**
+     * Read model directory manifest.
+     *
+     * @param {string} dir Model directory
+     * @returns {object[]}
+     * @throws {FaceError}
+     */
+    static readManifest(dir) {
+        const filename = path.join(dir, 'manifest.json');
+        if (fs.existsSync(filename)) {
+            let manifest;
+            try {
+                manifest = JSON.parse(fs.readFileSync(filename));
+            }
+            catch (err) {
+                throw new FaceError(`Model manifest ${filename} is not valid: ${err.message}!`, 'MODEL');
+            }
+            return (Array.isArray(manifest?.models) ? manifest.models : [])
+                .filter(model => model && model.name && model.variation && model.file)
+                .map(model => ({...model, version: parseInt(model.version) || 1}));
+        }
+        return [];
+    }
+
+    /**
+     * Get model, pinned version is used when version is not specified,
+     * otherwise the latest version.
+     *
+     * @param {string} name Model name
+     * @param {string} variation Model variation
+     * @param {number} version Model version
+     * @returns {object|undefined}
+     */
+    static getModel(name, variation, version = null) {
+        const key = [name, variation].join('/');
+        const models = this.models[key];
+        if (models !== undefined && models.length) {
+            version = version ?? this.getVersions()[key];
+            if (version) {
+                return models.find(model => model.version === parseInt(version));
+            }
+            return models[models.length - 1];
+        }
+    }
+
+    /**
+     * Get model tar archive file name.
+     *
+     * @param {string} name Model name
+     * @param {string} variation Model variation
+     * @param {number} version Model version
+     * @returns {string|undefined}
+     */
+    static getFilename(name, variation, version = null) {
+        const model = this.getModel(name, variation, version);
+        if (model !== undefined) {
+            return model.filename;
+        }
+    }
+
+    /**
+     * Verify model archive checksum against its manifest. Verified archive is
+     * remembered so it is only checked once.
+     *
+     * @param {object} model Model
+     * @returns {Promise<boolean>}
+     * @throws {FaceError}
+     */
+    static async verify(model) {
+        if (!model.sha256) {
+            return false;
+        }
+        if (this._verified === undefined) {
+            this._verified = {};
+        }
+        if (this._verified[model.filename] !== model.sha256) {
+            const hash = crypto.createHash('sha256');
+            for await (const chunk of fs.createReadStream(model.filename)) {
+                hash.update(chunk);
+            }
+            const checksum = hash.digest('hex');
+            if (checksum !== model.sha256.toLowerCase()) {
+                throw new FaceError(`Model ${model.filename} checksum mismatch, expected ${model.sha256} got ${checksum}!`,
+                    'MODEL');
+            }
+            this._verified[model.filename] = model.sha256;
+        }
+        return true;
+    }
+
+    /**
+     * List available models.
+     *
+     * @returns {object[]}
+     */
+    static list() {
+        const res = [];
+        for (const [key, models] of Object.entries(this.models)) {
+            const current = this.getModel(...key.split('/'));
+            for (const model of models) {
+                const {filename, ...info} = model;
+                res.push({...info, size: fs.statSync(filename).size, active: model === current});
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Get model search directories.
+     *
+     * @returns {string[]}
+     */
+    static getModelDirs() {
+        if (this._modeldirs === undefined) {
+            this._modeldirs = [path.join(__dirname, 'model')];
+        }
+        return this._modeldirs;
+    }
+
     /**
      * Set directory to look for model tar archive.
      *
      * @param {string} dir Model directory
      */
     static setModelDir(dir) {
-        this._modeldir = dir;
+        this.setModelDirs([dir]);
+    }
+
+    /**
+     * Set directories to look for model tar archive.
+     *
+     * @param {string[]} dirs Model directories
+     */
+    static setModelDirs(dirs) {
+        if (this._modeldirs === undefined || this._modeldirs.join(path.delimiter) !== dirs.join(path.delimiter)) {
+            this._modeldirs = [...dirs];
+            delete this._models;
+        }
+    }
+
+    /**
+     * Add a model directory which takes precedence over existing ones.
+     *
+     * @param {string} dir Model directory
+     */
+    static addModelDir(dir) {
+        const dirs = this.getModelDirs().filter(d => d !== dir);
+        this.setModelDirs([dir, ...dirs]);
+    }
+
+    /**
+     * Get pinned model versions, keyed by `name/variation`.
+     *
+     * @returns {object}
+     */
+    static getVersions() {
+        return this._versions || {};
+    }
+
+    /**
+     * Pin model versions.
+     *
+     * @param {object} versions Model versions keyed by `name/variation`
+     */
+    static setVersions(versions) {
+        this._versions = {...versions};
+    }
+
+    /**
+     * Configure model registry. Configuring with the same options keeps the
+     * scanned models.
+     *
+     * @param {object} options Registry options
+     * @param {string[]} options.dirs Additional model directories
+     * @param {object} options.versions Pinned model versions
+     */
+    static configure(options) {
+        options = options || {};
+        if (Array.isArray(options.dirs)) {
+            const dirs = this.getModelDirs().filter(dir => !options.dirs.includes(dir));
+            this.setModelDirs([...options.dirs, ...dirs]);
+        }
+        if (options.versions) {
+            this.setVersions(options.versions);
+        }
+    }
+
+    /**
+     * Get model registry options which can be passed to `configure()`.
+     *
+     * @returns {object}
+     */
+    static getOptions() {
+        return {dirs: this.getModelDirs(), versions: this.getVersions()};
     }
 
     /**
@@ -194,10 +479,11 @@ class TfjsLocalModel {
      *
      * @param {string} name Model name
      * @param {string} variation Model variation
+     * @param {number} version Model version
      * @returns {Promise<io.IOHandlerSync>}
      */
-    static create(name, variation) {
-        const model = new this(name, variation);
+    static create(name, variation, version = null) {
+        const model = new this(name, variation, version);
         return model.factory();
     }
 }
@@ -0,0 +1,235 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const sharp = require('sharp');
+const { FaceQualityError } = require('./errors');
+
+/**
+ * Face capture quality assessment.
+ *
+ * Scores:
+ * - `size`, shorter side of face box relative to shorter side of image
+ * - `pixels`, shorter side of face box in pixels
+ * - `sharpness`, Laplacian variance of normalized grayscale face crop
+ * - `brightness`, mean intensity of the face crop, 0 to 1
+ * - `exposure`, 1 for well exposed face crop down to 0 for dark, bright, or clipped
+ * - `eyeOpenness`, mean eye aspect ratio of both eyes
+ * - `yaw`, `pitch`, `roll`, face pose angles in degrees
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceQuality {
+
+    static CROP_SIZE = 128
+    static LIMITS = {
+        minSize: ['size', 'min'],
+        minPixels: ['pixels', 'min'],
+        minSharpness: ['sharpness', 'min'],
+        minExposure: ['exposure', 'min'],
+        minEyeOpenness: ['eyeOpenness', 'min'],
+        maxYaw: ['yaw', 'max'],
+        maxPitch: ['pitch', 'max'],
+        maxRoll: ['roll', 'max'],
+    }
+
+    /**
+     * Assess face quality.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {string|Buffer|Uint8Array} img Face image data
+     * @returns {Promise<object>}
+     */
+    static async assess(face, img) {
+        const res = {};
+        const [height, width] = face.shape || [];
+        if (width && height) {
+            const box = this.getBox(face.box, width, height);
+            res.pixels = Math.min(box.width, box.height);
+            res.size = res.pixels / Math.min(width, height);
+            if (box.width > 2 && box.height > 2) {
+                Object.assign(res, await this.assessCrop(img, box));
+            }
+        }
+        const eyeOpenness = this.getEyeOpenness(face);
+        if (eyeOpenness !== undefined) {
+            res.eyeOpenness = eyeOpenness;
+        }
+        if (face.pose) {
+            Object.assign(res, face.pose);
+        }
+        return res;
+    }
+
+    /**
+     * Measure sharpness and exposure of face crop.
+     *
+     * @param {string|Buffer|Uint8Array} img Face image data
+     * @param {object} box Face box
+     * @returns {Promise<object>}
+     */
+    static async assessCrop(img, box) {
+        const size = this.CROP_SIZE;
+        const gray = await sharp(img)
+            .extract(box)
+            .greyscale()
+            .resize(size, size, {fit: 'fill'})
+            .raw()
+            .toBuffer();
+        let sum = 0, clipped = 0;
+        for (const v of gray) {
+            sum += v;
+            if (v <= 5 || v >= 250) {
+                clipped++;
+            }
+        }
+        const brightness = sum / gray.length / 255;
+        clipped /= gray.length;
+        // Laplacian response of the interior pixels
+        let lsum = 0, lsum2 = 0, n = 0;
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const i = y * size + x;
+                const l = gray[i - size] + gray[i + size] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                lsum += l;
+                lsum2 += l * l;
+                n++;
+            }
+        }
+        const mean = lsum / n;
+        return {
+            sharpness: lsum2 / n - mean * mean,
+            brightness,
+            exposure: Math.max(0, 1 - 2 * Math.abs(brightness - 0.5)) * (1 - clipped),
+        }
+    }
+
+    /**
+     * Get mean eye aspect ratio of both eyes.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @returns {number|undefined}
+     */
+    static getEyeOpenness(face) {
+        const ratios = [];
+        for (const key of ['leftEye', 'rightEye']) {
+            if (face[key] && face[key].points.length) {
+                const w = face[key].getMax('x') - face[key].getMin('x');
+                const h = face[key].getMax('y') - face[key].getMin('y');
+                if (w > 0) {
+                    ratios.push(h / w);
+                }
+            }
+        }
+        if (ratios.length) {
+            return ratios.reduce((a, b) => a + b, 0) / ratios.length;
+        }
+    }
+
+    /**
+     * Get face box clamped to image bounds.
+     *
+     * @param {object} box Face box
+     * @param {number} width Image width
+     * @param {number} height Image height
+     * @returns {object}
+     */
+    static getBox(box, width, height) {
+        const left = Math.min(width - 1, Math.max(0, Math.floor(box.xMin)));
+        const top = Math.min(height - 1, Math.max(0, Math.floor(box.yMin)));
+        return {
+            left,
+            top,
+            width: Math.max(1, Math.min(width - left, Math.ceil(box.xMin + box.width) - left)),
+            height: Math.max(1, Math.min(height - top, Math.ceil(box.yMin + box.height) - top)),
+        }
+    }
+
+    /**
+     * Combine quality scores into a single score between 0 and 1, used to
+     * compare captures of the same face.
+     *
+     * @param {object} scores Quality scores
+     * @returns {number}
+     */
+    static score(scores) {
+        let res = 1;
+        if (scores.sharpness !== undefined) {
+            res *= scores.sharpness / (scores.sharpness + 100);
+        }
+        if (scores.exposure !== undefined) {
+            res *= scores.exposure;
+        }
+        if (scores.pixels !== undefined) {
+            res *= Math.min(1, scores.pixels / 112);
+        }
+        for (const angle of ['yaw', 'pitch']) {
+            if (scores[angle] !== undefined) {
+                res *= Math.max(0, 1 - Math.abs(scores[angle]) / 90);
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Check quality scores against limits.
+     *
+     * @param {object} scores Quality scores
+     * @param {object} limits Quality limits, e.g. `{minSize: 0.2, maxYaw: 30}`
+     * @returns {string[]} Failed checks
+     */
+    static check(scores, limits) {
+        const res = [];
+        for (const [limit, [score, type]] of Object.entries(this.LIMITS)) {
+            if (limits[limit] !== undefined && limits[limit] !== null && scores[score] !== undefined) {
+                const value = type === 'max' ? Math.abs(scores[score]) : scores[score];
+                if (type === 'min' ? value < limits[limit] : value > limits[limit]) {
+                    res.push(`${score} ${value.toFixed(3)} ${type === 'min' ? '<' : '>'} ${limits[limit]}`);
+                }
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Ensure face quality is acceptable.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {string|Buffer|Uint8Array} img Face image data
+     * @param {object} limits Quality limits
+     * @returns {Promise<object>} Quality scores
+     * @throws {FaceQualityError}
+     */
+    static async ensure(face, img, limits) {
+        const scores = await this.assess(face, img);
+        const failed = this.check(scores, limits);
+        if (failed.length) {
+            const err = new FaceQualityError(`Face quality is not acceptable, ${failed.join(', ')}!`, 'QUALITY');
+            err.quality = scores;
+            throw err;
+        }
+        return scores;
+    }
+}
+
+module.exports = FaceQuality;
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { FaceError } = require('./errors');
+
+/**
+ * Provides face selection policy when an image contains several faces.
+ *
+ * A policy is either a name, `first`, `largest`, `center`, or `score`, or
+ * an explicit selection, a face index of the policy ordered faces or a face
+ * box, e.g. `{index: 1}` or `{box: {left: 10, top: 20, width: 100, height: 120}}`.
+ * The default policy is `first`, the first detected face.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceSelector {
+
+    static POLICIES = ['first', 'largest', 'center', 'score']
+    static DEFAULT_POLICY = 'first'
+
+    /**
+     * Constructor.
+     *
+     * @param {string|number|object} policy Selection policy
+     * @throws {FaceError}
+     */
+    constructor(policy) {
+        if (typeof policy === 'number') {
+            policy = {index: policy};
+        }
+        if (policy !== null && typeof policy === 'object') {
+            this.policy = policy.policy ?? this.constructor.DEFAULT_POLICY;
+            if (policy.index !== undefined) {
+                this.index = parseInt(policy.index);
+            }
+            if (policy.box) {
+                this.box = this.constructor.toBox(policy.box);
+            }
+        } else {
+            this.policy = policy ?? this.constructor.DEFAULT_POLICY;
+        }
+        if (!this.constructor.POLICIES.includes(this.policy)) {
+            throw new FaceError(`Unsupported face selection policy ${this.policy}!`, 'INVALID_OPTION');
+        }
+    }
+
+    /**
+     * Is face explicitly selected by the caller?
+     *
+     * @returns {boolean}
+     */
+    isExplicit() {
+        return this.index !== undefined || this.box !== undefined;
+    }
+
+    /**
+     * Order faces by policy, the most preferred first.
+     *
+     * @param {FaceLandmark[]} faces Detected faces
+     * @returns {FaceLandmark[]}
+     */
+    order(faces) {
+        const res = [...faces];
+        switch (this.policy) {
+            case 'largest':
+                res.sort((a, b) => b.box.width * b.box.height - a.box.width * a.box.height);
+                break;
+            case 'center':
+                res.sort((a, b) => this.getCenterDistance(a) - this.getCenterDistance(b));
+                break;
+            case 'score':
+                res.sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+                break;
+        }
+        return res;
+    }
+
+    /**
+     * Select a face.
+     *
+     * @param {FaceLandmark[]} faces Detected faces
+     * @returns {FaceLandmark|undefined}
+     */
+    select(faces) {
+        if (Array.isArray(faces) && faces.length) {
+            const ordered = this.order(faces);
+            if (this.box) {
+                let res, best = 0;
+                for (const face of ordered) {
+                    const iou = this.constructor.iou(face.box, this.box);
+                    if (iou > best) {
+                        best = iou;
+                        res = face;
+                    }
+                }
+                return res;
+            }
+            return ordered[this.index ?? 0];
+        }
+    }
+
+    /**
+     * Get squared distance of face center to image center.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @returns {number}
+     */
+    getCenterDistance(face) {
+        const [height, width] = face.shape || [0, 0];
+        const dx = face.box.xMin + face.box.width / 2 - width / 2;
+        const dy = face.box.yMin + face.box.height / 2 - height / 2;
+        return dx * dx + dy * dy;
+    }
+
+    /**
+     * Normalize box of `{left, top, width, height}` or `{xMin, yMin, width, height}`.
+     *
+     * @param {object} box Box
+     * @returns {object}
+     */
+    static toBox(box) {
+        return {
+            xMin: box.xMin ?? box.left ?? 0,
+            yMin: box.yMin ?? box.top ?? 0,
+            width: box.width ?? 0,
+            height: box.height ?? 0,
+        }
+    }
+
+    /**
+     * Compute intersection over union of two boxes.
+     *
+     * @param {object} a Box
+     * @param {object} b Box
+     * @returns {number}
+     */
+    static iou(a, b) {
+        a = this.toBox(a);
+        b = this.toBox(b);
+        const w = Math.min(a.xMin + a.width, b.xMin + b.width) - Math.max(a.xMin, b.xMin);
+        const h = Math.min(a.yMin + a.height, b.yMin + b.height) - Math.max(a.yMin, b.yMin);
+        if (w <= 0 || h <= 0) {
+            return 0;
+        }
+        const intersection = w * h;
+        return intersection / (a.width * a.height + b.width * b.height - intersection);
+    }
+
+    /**
+     * Create selector.
+     *
+     * @param {string|number|object|FaceSelector} policy Selection policy
+     * @returns {FaceSelector}
+     */
+    static from(policy) {
+        return policy instanceof FaceSelector ? policy : new this(policy);
+    }
+}
+
+module.exports = FaceSelector;
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { EventEmitter } = require('events');
+const { FaceDetection, FaceLandmark } = require('./face');
+const { FaceTracker } = require('./tracker');
+const { FaceError } = require('./errors');
+const FaceQuality = require('./quality');
+const FrameSource = require('./source');
+const debug = require('debug')('identity:face-ng:session');
+
+/**
+ * A streaming identification session.
+ *
+ * Frames are either pushed by the client or read from a frame source.
+ * Faces are tracked across frames, the best quality capture of each track
+ * is identified once the track lasts for `minFrames` frames, or when it is
+ * lost before. Emits `track-started`, `identified`, `track-lost`, `end`,
+ * and `error` events which are also queued to be polled by the client.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceSession extends EventEmitter {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} id Session id
+     * @param {FaceId} faceid Face identity
+     * @param {object} options Session options
+     * @param {object} options.source Frame source, see `FrameSource`
+     * @param {object} options.tracker Tracker options, see `FaceTracker`
+     * @param {number} options.minFrames Track frames before identification, default to 5
+     * @param {object} options.identify Identify options
+     * @param {number} options.maxEvents Maximum queued events, default to 100
+     */
+    constructor(id, faceid, options) {
+        super();
+        this.id = id;
+        this.faceid = faceid;
+        this.options = options || {};
+        this.minFrames = this.options.minFrames ?? 5;
+        this.maxEvents = this.options.maxEvents ?? 100;
+        this.identifyOptions = this.options.identify || {};
+        // tracking state belongs to the session, use a dedicated detector
+        this.detector = new FaceDetection({...faceid.getDetectorOptions(), tracking: true});
+        this.tracker = new FaceTracker(this.options.tracker);
+        this.frame = 0;
+        this.events = [];
+        this.identifying = [];
+        this.touch();
+    }
+
+    /**
+     * Start reading frames from the source option.
+     *
+     * @returns {FaceSession}
+     */
+    open() {
+        if (this.options.source) {
+            this.source = new FrameSource(this.options.source);
+            this.source.on('frame', frame => this.push(frame));
+            this.source.on('error', err => this.notify('error', err.toResult ? err.toResult() : {error: err.message}));
+            this.source.on('end', () => {
+                this.ended = true;
+                this.notify('end', {frames: this.frame});
+            });
+            this.source.open();
+        }
+        return this;
+    }
+
+    /**
+     * Update last client activity time, frames read from the source are not
+     * client activity.
+     */
+    touch() {
+        this.time = Date.now();
+    }
+
+    /**
+     * Queue and emit an event.
+     *
+     * @param {string} event Event name
+     * @param {object} data Event data
+     */
+    notify(event, data) {
+        this.events.push({event, session: this.id, ...data});
+        if (this.events.length > this.maxEvents) {
+            this.events.splice(0, this.events.length - this.maxEvents);
+        }
+        // unhandled error event would throw
+        if (event !== 'error' || this.listenerCount(event)) {
+            this.emit(event, data);
+        }
+    }
+
+    /**
+     * Get and clear queued events.
+     *
+     * @returns {object[]}
+     */
+    poll() {
+        this.touch();
+        return this.events.splice(0, this.events.length);
+    }
+
+    /**
+     * Push a frame. While a frame is being processed, only the latest pushed
+     * frame is kept.
+     *
+     * @param {Uint8Array} frame Frame image
+     * @returns {Promise<void>}
+     */
+    async push(frame) {
+        if (this.closed) {
+            return;
+        }
+        if (this.processing) {
+            this.pending = frame;
+            return;
+        }
+        this.processing = (async () => {
+            while (frame) {
+                this.pending = null;
+                try {
+                    await this.process(frame);
+                }
+                catch (err) {
+                    if (!(err instanceof FaceError)) {
+                        debug(`Session ${this.id} frame ${this.frame} failed: ${err}`);
+                    }
+                    this.notify('error', {frame: this.frame, ...(err instanceof FaceError ? err.toResult() : {error: err.message})});
+                }
+                frame = this.closed ? null : this.pending;
+            }
+        })();
+        try {
+            await this.processing;
+        }
+        finally {
+            this.processing = null;
+        }
+    }
+
+    /**
+     * Detect and track faces of a frame.
+     *
+     * @param {Uint8Array} img Frame image
+     */
+    async process(img) {
+        const frame = ++this.frame;
+        const detection = await this.detector.getFaces(img);
+        const faces = (detection.faces || [])
+            .map(landmark => new FaceLandmark({shape: detection.shape, image: detection.image, ...landmark}));
+        const {started, matched, lost} = this.tracker.update(faces, frame);
+        for (const track of [...started, ...matched]) {
+            const quality = FaceQuality.score(await FaceQuality.assess(track.face, track.face.image));
+            track.offer(track.face, quality, frame);
+        }
+        for (const track of started) {
+            this.notify('track-started', {frame, track: track.toJSON()});
+        }
+        for (const track of [...started, ...matched]) {
+            if (track.identifying === undefined && track.frames >= this.minFrames) {
+                this.identify(track);
+            }
+        }
+        for (const track of lost) {
+            this.lose(track);
+        }
+    }
+
+    /**
+     * Identify best capture of a track, only once per track.
+     *
+     * @param {FaceTrack} track Face track
+     * @returns {Promise<void>}
+     */
+    identify(track) {
+        if (track.identifying === undefined) {
+            track.result = null;
+            const options = this.identifyOptions;
+            const identifying = (async () => {
+                let result;
+                try {
+                    const face = track.best.face;
+                    const extractor = this.faceid.getExtractor(options.extractor);
+                    const features = await this.faceid.getFaceProbe(face, face.image, extractor, this.faceid.getGates(options));
+                    if (features) {
+                        result = await this.faceid.identifyFeatures(features, `${this.id}-${track.id}`, options);
+                    }
+                }
+                catch (err) {
+                    if (!(err instanceof FaceError)) {
+                        debug(`Session ${this.id} track ${track.id} identification failed: ${err}`);
+                    }
+                    result = err instanceof FaceError ? err.toResult() : {error: err.message};
+                }
+                track.result = result ?? {};
+                this.notify('identified', {frame: track.best.frame, track: track.toJSON(), result: track.result});
+            })();
+            this.identifying.push(identifying);
+            identifying.finally(() => this.identifying.splice(this.identifying.indexOf(identifying), 1));
+            track.identifying = identifying;
+        }
+        return track.identifying;
+    }
+
+    /**
+     * Finish a lost track, identify it first when it was not identified.
+     *
+     * @param {FaceTrack} track Face track
+     */
+    lose(track) {
+        this.identify(track)
+            .then(() => this.notify('track-lost', {frame: track.lastFrame, track: track.toJSON(), result: track.result}));
+    }
+
+    /**
+     * Close session, remaining tracks are finished.
+     *
+     * @returns {Promise<object[]>} Remaining events
+     */
+    async close() {
+        if (!this.closed) {
+            this.closed = true;
+            if (this.source) {
+                this.source.close();
+            }
+            if (this.processing) {
+                await this.processing;
+            }
+            for (const track of this.tracker.clear()) {
+                this.lose(track);
+            }
+            while (this.identifying.length) {
+                await Promise.all(this.identifying);
+            }
+            // lost notifications follow identification
+            await new Promise(resolve => setImmediate(resolve));
+            await this.detector.dispose();
+            this.notify('closed', {frames: this.frame});
+        }
+        return this.poll();
+    }
+}
+
+module.exports = FaceSession;
\ No newline at end of file
@@ -0,0 +1,173 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { FaceError } = require('./errors');
+
+/**
+ * Read JPEG frames from an MJPEG stream, an MJPEG file, or a video file
+ * decoded by `ffmpeg`.
+ *
+ * Frames are split on JPEG start and end of image markers, which works
+ * for both multipart HTTP MJPEG and raw concatenated JPEG stream. Emits
+ * `frame`, `error`, and `end` events.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FrameSource extends EventEmitter {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {string} options.url MJPEG stream url
+     * @param {string} options.file MJPEG or video file
+     * @param {number} options.fps Video file decoding frame rate, default to 5
+     * @param {string} options.ffmpeg Path to ffmpeg, default to `ffmpeg`
+     * @param {number} options.maxFrameSize Maximum frame size in bytes, default to 10 MB
+     */
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.maxFrameSize = this.options.maxFrameSize ?? 10 * 1024 * 1024;
+        this.buffer = Buffer.alloc(0);
+        this.start = -1;
+        this.depth = 0;
+        this.offset = 0;
+    }
+
+    /**
+     * Start reading frames.
+     */
+    open() {
+        const {url, file} = this.options;
+        if (url) {
+            const client = url.startsWith('https:') ? require('https') : require('http');
+            this.request = client.get(url, res => {
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    this.emit('error', new FaceError(`Stream ${url} responded with status ${res.statusCode}!`, 'STREAM_SOURCE'));
+                    return;
+                }
+                this.read(res);
+            });
+            this.request.on('error', err => this.emit('error', new FaceError(`Stream ${url} failed: ${err.message}!`, 'STREAM_SOURCE')));
+        } else if (file) {
+            if (!fs.existsSync(file)) {
+                throw new FaceError(`Video file ${file} is not exist!`, 'STREAM_SOURCE');
+            }
+            if (['.mjpg', '.mjpeg'].includes(path.extname(file).toLowerCase())) {
+                this.read(fs.createReadStream(file));
+            } else {
+                this.process = spawn(this.options.ffmpeg ?? 'ffmpeg', [
+                    '-loglevel', 'error',
+                    '-i', file,
+                    '-r', String(this.options.fps ?? 5),
+                    '-f', 'mjpeg',
+                    '-q:v', '3',
+                    'pipe:1',
+                ], {stdio: ['ignore', 'pipe', 'ignore']});
+                this.process.on('error', err => this.emit('error', new FaceError(`Video decoding failed: ${err.message}!`, 'STREAM_SOURCE')));
+                this.read(this.process.stdout);
+            }
+        } else {
+            throw new FaceError('Stream source requires url or file!', 'STREAM_SOURCE');
+        }
+        return this;
+    }
+
+    /**
+     * Read frames from a readable stream.
+     *
+     * @param {ReadableStream} stream Readable stream
+     */
+    read(stream) {
+        this.stream = stream;
+        stream.on('data', data => this.feed(data));
+        stream.on('error', err => this.emit('error', new FaceError(`Stream read failed: ${err.message}!`, 'STREAM_SOURCE')));
+        stream.on('end', () => this.emit('end'));
+    }
+
+    /**
+     * Feed stream data and emit completed frames.
+     *
+     * @param {Buffer} data Stream data
+     */
+    feed(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        for (let i = Math.max(1, this.offset); i < this.buffer.length; i++) {
+            if (this.buffer[i - 1] !== 0xff) {
+                continue;
+            }
+            const marker = this.buffer[i];
+            if (marker === 0xd8) {
+                // embedded thumbnail has its own start and end markers
+                if (this.depth++ === 0) {
+                    this.start = i - 1;
+                }
+            } else if (marker === 0xd9 && this.depth > 0 && --this.depth === 0) {
+                this.emit('frame', this.buffer.subarray(this.start, i + 1));
+                this.buffer = this.buffer.subarray(i + 1);
+                this.start = -1;
+                i = 0;
+            }
+        }
+        if (this.start > 0) {
+            this.buffer = this.buffer.subarray(this.start);
+            this.start = 0;
+        }
+        this.offset = this.buffer.length;
+        if (this.start < 0) {
+            // keep last byte in case it is the first half of a marker
+            this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - 1));
+            this.offset = this.buffer.length;
+        } else if (this.buffer.length > this.maxFrameSize) {
+            this.buffer = Buffer.alloc(0);
+            this.start = -1;
+            this.depth = 0;
+            this.offset = 0;
+        }
+    }
+
+    /**
+     * Stop reading frames.
+     */
+    close() {
+        if (this.request) {
+            this.request.destroy();
+        }
+        if (this.process) {
+            this.process.kill();
+        }
+        if (this.stream && typeof this.stream.destroy === 'function') {
+            this.stream.destroy();
+        }
+        this.removeAllListeners('frame');
+    }
+}
+
+module.exports = FrameSource;
\ No newline at end of file
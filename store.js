@@ -0,0 +1,202 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('identity:face-ng:store');
+
+/**
+ * Persistent gallery store, an append-only JSON lines file on local disk.
+ *
+ * Each line is a gallery operation, `set`, `add`, `remove`, or `clear`,
+ * which is replayed on load. Lines appended by other processes are picked
+ * up incrementally, while a replaced or truncated file is fully reloaded.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class GalleryStore {
+
+    /**
+     * Constructor.
+     *
+     * @param {string} filename Store filename
+     */
+    constructor(filename) {
+        this.filename = path.resolve(filename);
+        this.offset = 0;
+        this.ino = null;
+    }
+
+    /**
+     * Read all operations.
+     *
+     * @returns {object[]}
+     */
+    load() {
+        this.offset = 0;
+        this.ino = null;
+        return this.read();
+    }
+
+    /**
+     * Read operations appended since last read.
+     *
+     * @returns {object[]|null} Operations, or null when the store must be fully reloaded
+     */
+    read() {
+        if (!fs.existsSync(this.filename)) {
+            const reload = this.offset > 0;
+            this.offset = 0;
+            this.ino = null;
+            return reload ? null : [];
+        }
+        const stat = fs.statSync(this.filename);
+        if ((this.ino !== null && stat.ino !== this.ino) || stat.size < this.offset) {
+            return null;
+        }
+        const res = [];
+        if (stat.size > this.offset) {
+            const buff = Buffer.alloc(stat.size - this.offset);
+            const fd = fs.openSync(this.filename, 'r');
+            try {
+                fs.readSync(fd, buff, 0, buff.length, this.offset);
+            }
+            finally {
+                fs.closeSync(fd);
+            }
+            // only consume complete lines, the rest may be still being written
+            const end = buff.lastIndexOf(0x0a);
+            if (end >= 0) {
+                for (const line of buff.subarray(0, end).toString().split('\n')) {
+                    if (line.trim()) {
+                        try {
+                            res.push(JSON.parse(line));
+                        }
+                        catch (err) {
+                            debug(`Skipping invalid gallery record: ${err.message}`);
+                        }
+                    }
+                }
+                this.offset += end + 1;
+            }
+        }
+        this.ino = stat.ino;
+        return res;
+    }
+
+    /**
+     * Append an operation, external changes must be read before.
+     *
+     * @param {object} op Gallery operation
+     */
+    append(op) {
+        const data = JSON.stringify(op) + '\n';
+        fs.mkdirSync(path.dirname(this.filename), {recursive: true});
+        fs.appendFileSync(this.filename, data);
+        this.offset += Buffer.byteLength(data);
+        this.ino = fs.statSync(this.filename).ino;
+    }
+
+    /**
+     * Rewrite store using current gallery operations.
+     *
+     * @param {object[]} ops Gallery operations
+     */
+    write(ops) {
+        const tmp = `${this.filename}.tmp`;
+        fs.mkdirSync(path.dirname(this.filename), {recursive: true});
+        fs.writeFileSync(tmp, ops.map(op => JSON.stringify(op) + '\n').join(''));
+        fs.renameSync(tmp, this.filename);
+        const stat = fs.statSync(this.filename);
+        this.offset = stat.size;
+        this.ino = stat.ino;
+    }
+
+    /**
+     * Watch store for external changes.
+     *
+     * @param {Function} callback Change handler
+     */
+    watch(callback) {
+        if (this.watcher === undefined) {
+            let timeout;
+            const dir = path.dirname(this.filename);
+            fs.mkdirSync(dir, {recursive: true});
+            this.watcher = fs.watch(dir, (event, filename) => {
+                if (filename === path.basename(this.filename)) {
+                    clearTimeout(timeout);
+                    timeout = setTimeout(() => {
+                        // a failing handler must not take the process down
+                        try {
+                            callback();
+                        }
+                        catch (err) {
+                            debug(`Store change handler failed: ${err.message}`);
+                        }
+                    }, 100);
+                }
+            });
+            this.watcher.unref();
+        }
+    }
+
+    /**
+     * Stop watching store.
+     */
+    unwatch() {
+        if (this.watcher) {
+            this.watcher.close();
+            delete this.watcher;
+        }
+    }
+
+    /**
+     * Encode gallery sample.
+     *
+     * @param {Uint8Array|object} sample Face image or features
+     * @returns {object}
+     */
+    static encodeSample(sample) {
+        if (sample instanceof Uint8Array) {
+            return {image: Buffer.from(sample).toString('base64')};
+        }
+        return {features: {...sample}};
+    }
+
+    /**
+     * Decode gallery sample.
+     *
+     * @param {object} data Encoded sample
+     * @param {Function} features Features factory
+     * @returns {Buffer|object}
+     */
+    static decodeSample(data, features) {
+        if (data.image !== undefined) {
+            return Buffer.from(data.image, 'base64');
+        }
+        return features(data.features);
+    }
+}
+
+module.exports = GalleryStore;
\ No newline at end of file
@@ -0,0 +1,250 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { FaceTemplateError } = require('./errors');
+
+const MAGIC = 'FTPL';
+const VERSION = 2;
+const DTYPES = ['float32', 'int8'];
+
+let crcTable;
+
+/**
+ * Calculate CRC-32 checksum.
+ *
+ * @param {Buffer} buff Data
+ * @returns {number}
+ */
+function crc32(buff) {
+    if (crcTable === undefined) {
+        crcTable = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[i] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < buff.length; i++) {
+        crc = crcTable[(crc ^ buff[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compact binary face template.
+ *
+ * Layout, all numbers are little endian:
+ *
+ * ```
+ * magic      4 bytes  FTPL
+ * version    uint8
+ * dtype      uint8    0 = float32, 1 = quantized int8
+ * extractor  uint8 length + utf-8 string
+ * markers    uint8 count, then each uint8 length + utf-8 name + uint16 value count
+ * config     uint16 length + utf-8 JSON of matching configuration, since version 2
+ * count      uint32   total value count
+ * scale      float32  quantization scale, only for int8
+ * payload    count x float32 or int8
+ * checksum   uint32   CRC-32 of all preceding bytes
+ * ```
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceTemplate {
+
+    /**
+     * Check if data looks like an encoded template.
+     *
+     * @param {Buffer|Uint8Array} data Data
+     * @returns {boolean}
+     */
+    static isTemplate(data) {
+        return data instanceof Uint8Array && data.length > MAGIC.length &&
+            Buffer.from(data.buffer, data.byteOffset, MAGIC.length).toString('latin1') === MAGIC;
+    }
+
+    /**
+     * Encode features.
+     *
+     * @param {object} params Template content
+     * @param {string} params.extractor Extractor id
+     * @param {object} params.markers Marker values keyed by marker name
+     * @param {object} params.config Matching configuration, e.g. metric
+     * @param {object} options Encode options
+     * @param {string} options.dtype Payload data type, float32 or int8
+     * @returns {Buffer}
+     * @throws {FaceTemplateError}
+     */
+    static encode({extractor, markers, config}, options = null) {
+        options = options || {};
+        const dtype = options.dtype ?? 'float32';
+        if (!DTYPES.includes(dtype)) {
+            throw new FaceTemplateError(`Unsupported template data type ${dtype}!`, 'TEMPLATE_DTYPE');
+        }
+        const values = [];
+        const parts = [Buffer.from(MAGIC, 'latin1'), Buffer.from([VERSION, DTYPES.indexOf(dtype)])];
+        // lengths are stored as uint8 or uint16 and must not wrap
+        const check = (what, len, max) => {
+            if (len > max) {
+                throw new FaceTemplateError(`Face template ${what} is too long, ${len} exceeds ${max}!`, 'TEMPLATE_SIZE');
+            }
+        }
+        const str = (what, s) => {
+            const b = Buffer.from(s, 'utf8');
+            check(what, b.length, 0xff);
+            return Buffer.concat([Buffer.from([b.length]), b]);
+        }
+        parts.push(str('extractor', extractor));
+        const names = Object.keys(markers);
+        check('markers', names.length, 0xff);
+        parts.push(Buffer.from([names.length]));
+        for (const name of names) {
+            const count = Buffer.alloc(2);
+            check(`marker ${name}`, markers[name].length, 0xffff);
+            count.writeUInt16LE(markers[name].length);
+            parts.push(str('marker name', name), count);
+            values.push(...markers[name]);
+        }
+        const json = Buffer.from(config ? JSON.stringify(config) : '', 'utf8');
+        check('configuration', json.length, 0xffff);
+        const len = Buffer.alloc(2);
+        len.writeUInt16LE(json.length);
+        parts.push(len, json);
+        const header = Buffer.alloc(4);
+        header.writeUInt32LE(values.length);
+        parts.push(header);
+        let payload;
+        if (dtype === 'int8') {
+            const max = values.reduce((a, b) => Math.max(a, Math.abs(b)), 0);
+            const scale = max > 0 ? max / 127 : 1;
+            const b = Buffer.alloc(4);
+            b.writeFloatLE(scale);
+            parts.push(b);
+            payload = Buffer.from(Int8Array.from(values, v => Math.round(v / scale)).buffer);
+        } else {
+            payload = Buffer.from(Float32Array.from(values).buffer);
+        }
+        parts.push(payload);
+        const data = Buffer.concat(parts);
+        const checksum = Buffer.alloc(4);
+        checksum.writeUInt32LE(crc32(data));
+        return Buffer.concat([data, checksum]);
+    }
+
+    /**
+     * Decode template.
+     *
+     * @param {Buffer|Uint8Array} data Encoded template
+     * @returns {object}
+     */
+    static decode(data) {
+        if (!this.isTemplate(data)) {
+            throw new FaceTemplateError('Data is not a face template!', 'TEMPLATE_MAGIC');
+        }
+        const buff = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+        if (buff.length < MAGIC.length + 6) {
+            throw new FaceTemplateError('Face template is truncated!', 'TEMPLATE_TRUNCATED');
+        }
+        const checksum = buff.readUInt32LE(buff.length - 4);
+        if (checksum !== crc32(buff.subarray(0, buff.length - 4))) {
+            throw new FaceTemplateError('Face template checksum mismatch, template is corrupt!', 'TEMPLATE_CHECKSUM');
+        }
+        let offset = MAGIC.length;
+        const version = buff.readUInt8(offset++);
+        if (version < 1 || version > VERSION) {
+            throw new FaceTemplateError(`Unsupported face template version ${version}!`, 'TEMPLATE_VERSION');
+        }
+        const dtype = DTYPES[buff.readUInt8(offset++)];
+        if (dtype === undefined) {
+            throw new FaceTemplateError('Unsupported face template data type!', 'TEMPLATE_DTYPE');
+        }
+        try {
+            const str = () => {
+                const len = buff.readUInt8(offset++);
+                const s = buff.toString('utf8', offset, offset + len);
+                offset += len;
+                return s;
+            }
+            const extractor = str();
+            const counts = {};
+            const n = buff.readUInt8(offset++);
+            for (let i = 0; i < n; i++) {
+                const name = str();
+                counts[name] = buff.readUInt16LE(offset);
+                offset += 2;
+            }
+            let config = null;
+            if (version >= 2) {
+                const len = buff.readUInt16LE(offset);
+                offset += 2;
+                if (len) {
+                    try {
+                        config = JSON.parse(buff.toString('utf8', offset, offset + len));
+                    }
+                    catch (err) {
+                        throw new FaceTemplateError('Face template configuration is corrupt!', 'TEMPLATE_CORRUPT');
+                    }
+                }
+                offset += len;
+            }
+            const count = buff.readUInt32LE(offset);
+            offset += 4;
+            if (count !== Object.values(counts).reduce((a, b) => a + b, 0)) {
+                throw new FaceTemplateError('Face template value count mismatch!', 'TEMPLATE_CORRUPT');
+            }
+            let values;
+            if (dtype === 'int8') {
+                const scale = buff.readFloatLE(offset);
+                offset += 4;
+                values = Array.from(new Int8Array(buff.subarray(offset, offset + count)), v => v * scale);
+                offset += count;
+            } else {
+                values = [];
+                for (let i = 0; i < count; i++) {
+                    values.push(buff.readFloatLE(offset));
+                    offset += 4;
+                }
+            }
+            if (offset !== buff.length - 4) {
+                throw new FaceTemplateError('Face template size mismatch!', 'TEMPLATE_CORRUPT');
+            }
+            const markers = {};
+            for (const [name, len] of Object.entries(counts)) {
+                markers[name] = values.splice(0, len);
+            }
+            return {version, dtype, extractor, markers, config};
+        }
+        catch (err) {
+            if (err instanceof RangeError) {
+                throw new FaceTemplateError('Face template is truncated!', 'TEMPLATE_TRUNCATED');
+            }
+            throw err;
+        }
+    }
+}
+
+module.exports = FaceTemplate;
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2025 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const FaceSelector = require('./selector');
+
+/**
+ * A face tracked across frames.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceTrack {
+
+    /**
+     * Constructor.
+     *
+     * @param {number} id Track id
+     * @param {FaceLandmark} face Detected face
+     * @param {number} frame Frame number
+     */
+    constructor(id, face, frame) {
+        this.id = id;
+        this.face = face;
+        this.firstFrame = frame;
+        this.lastFrame = frame;
+        this.frames = 1;
+        this.missed = 0;
+        this.best = null;
+    }
+
+    /**
+     * Update track with matched face.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {number} frame Frame number
+     */
+    update(face, frame) {
+        this.face = face;
+        this.lastFrame = frame;
+        this.frames++;
+        this.missed = 0;
+    }
+
+    /**
+     * Offer a face capture, kept when it is the best quality so far.
+     *
+     * @param {FaceLandmark} face Detected face
+     * @param {number} quality Capture quality score
+     * @param {number} frame Frame number
+     * @returns {boolean}
+     */
+    offer(face, quality, frame) {
+        if (this.best === null || quality > this.best.quality) {
+            this.best = {face, quality, frame};
+            return true;
+        }
+        return false;
+    }
+
+    toJSON() {
+        const res = {
+            id: this.id,
+            box: this.face.box,
+            firstFrame: this.firstFrame,
+            lastFrame: this.lastFrame,
+            frames: this.frames,
+        }
+        if (this.best) {
+            res.best = {frame: this.best.frame, quality: this.best.quality};
+        }
+        return res;
+    }
+}
+
+/**
+ * Track faces across frames.
+ *
+ * Faces of consecutive frames are associated with existing tracks by box
+ * overlap and landmark continuity, i.e. mean keypoints displacement relative
+ * to face size. A track is lost after it is missing for several frames.
+ *
+ * @author Toha <tohenk@yahoo.com>
+ */
+class FaceTracker {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {number} options.iou Minimum box overlap, default to 0.3
+     * @param {number} options.continuity Maximum keypoints displacement relative to face size, default to 0.25
+     * @param {number} options.maxMissed Number of missing frames before a track is lost, default to 5
+     */
+    constructor(options) {
+        options = options || {};
+        this.iou = options.iou ?? 0.3;
+        this.continuity = options.continuity ?? 0.25;
+        this.maxMissed = options.maxMissed ?? 5;
+        this.tracks = new Map();
+        this.seq = 0;
+    }
+
+    /**
+     * Get mean keypoints displacement relative to face size.
+     *
+     * @param {FaceLandmark} a Face
+     * @param {FaceLandmark} b Face
+     * @returns {number}
+     */
+    getDisplacement(a, b) {
+        if (!a.keypoints || !b.keypoints || !a.keypoints.length || a.keypoints.length !== b.keypoints.length) {
+            return Infinity;
+        }
+        let sum = 0;
+        for (let i = 0; i < a.keypoints.length; i++) {
+            sum += Math.hypot(a.keypoints[i].x - b.keypoints[i].x, a.keypoints[i].y - b.keypoints[i].y);
+        }
+        const size = Math.max(a.box.width, a.box.height, b.box.width, b.box.height);
+        return size > 0 ? sum / a.keypoints.length / size : Infinity;
+    }
+
+    /**
+     * Associate detected faces of a frame with tracks.
+     *
+     * @param {FaceLandmark[]} faces Detected faces
+     * @param {number} frame Frame number
+     * @returns {object} Started, matched, and lost tracks, matched faces are in `track.face`
+     */
+    update(faces, frame) {
+        const res = {started: [], matched: [], lost: []};
+        const pairs = [];
+        for (const track of this.tracks.values()) {
+            faces.forEach((face, index) => {
+                const iou = FaceSelector.iou(track.face.box, face.box);
+                const displacement = this.getDisplacement(track.face, face);
+                if (iou >= this.iou || displacement <= this.continuity) {
+                    const continuity = Math.max(0, 1 - displacement / this.continuity);
+                    pairs.push({track, index, similarity: iou + continuity});
+                }
+            });
+        }
+        pairs.sort((a, b) => b.similarity - a.similarity);
+        const assigned = new Set();
+        for (const {track, index} of pairs) {
+            if (track.lastFrame !== frame && !assigned.has(index)) {
+                track.update(faces[index], frame);
+                assigned.add(index);
+                res.matched.push(track);
+            }
+        }
+        for (const track of [...this.tracks.values()]) {
+            if (track.lastFrame !== frame && ++track.missed > this.maxMissed) {
+                this.tracks.delete(track.id);
+                res.lost.push(track);
+            }
+        }
+        faces.forEach((face, index) => {
+            if (!assigned.has(index)) {
+                const track = new FaceTrack(++this.seq, face, frame);
+                this.tracks.set(track.id, track);
+                res.started.push(track);
+            }
+        });
+        return res;
+    }
+
+    /**
+     * Remove all tracks.
+     *
+     * @returns {FaceTrack[]} Removed tracks
+     */
+    clear() {
+        const res = [...this.tracks.values()];
+        this.tracks.clear();
+        return res;
+    }
+}
+
+module.exports = {
+    FaceTracker,
+    FaceTrack,
+}
\ No newline at end of file
@@ -23,7 +23,16 @@
  */
 
 const { Worker } = require('@ntlab/identity');
-const { FaceDetection, FaceLandmark, FaceFeatures } = require('./face');
+const { FaceDetection, FaceLandmark, FaceFeatures, FaceSamples } = require('./face');
+const { FeatureExtractor } = require('./extractor');
+const { FaceError, FaceTemplateError } = require('./errors');
+const Calibration = require('./calibration');
+const FeatureCache = require('./cache');
+const FeatureMatrix = require('./matrix');
+const { FeatureMetric } = require('./metric');
+const FaceSelector = require('./selector');
+const FaceTemplate = require('./template');
+const LocalModel = require('./model');
 const debug = require('debug')('identity:worker:face-ng');
 
 /**
@@ -40,13 +49,26 @@ async function verify(work, start, end) {
     let matched = null;
     let current = start;
     try {
+        const options = work.feature.options || {};
+        const probe = FaceFeatures.from(work.feature.features);
+        const context = getContext(probe, options);
+        const {extractor} = context;
+        // candidates ranking needs every range, so a ranking work is never
+        // stopped early
+        const halted = () => stopped && !(options.topK > 0);
+        // only identities shortlisted by the index are matched
+        const shortlist = Array.isArray(options.shortlist) ? new Set(options.shortlist) : null;
         // prepare trained data
-        log('FACE> [%d] Preparing data...', Worker.id);
+        log('FACE> [%d] Preparing data using %s...', Worker.id, extractor.id);
         while (current <= end) {
-            if (stopped) {
+            if (halted()) {
                 break;
             }
-            const feature = await getFaceFeatures(work.items, current);
+            if (shortlist && !(work.items[current] && shortlist.has(work.items[current].id))) {
+                current++;
+                continue;
+            }
+            const feature = await getFaceFeatures(work.items, current, probe, context);
             if (feature) {
                 features.push(feature);
                 indices.push(current);
@@ -54,13 +76,31 @@ async function verify(work, start, end) {
             }
             current++;
         }
-        if (!stopped && features.length) {
+        if (!halted() && features.length) {
             // find best matches
             log('FACE> [%d] Find match...', Worker.id);
-            const feature = FaceFeatures.from(work.feature);
-            const [match, confidence] = feature.find(features);
+            const calibration = options.calibration ? Calibration.from(options.calibration) : null;
+            const threshold = options.threshold ?? extractor.threshold;
+            const confidence = distance => calibration ? calibration.confidence(distance) : 1 - distance;
+            const matrix = FeatureMatrix.from(probe, features, {mode: options.aggregate, dtype: options.dtype});
+            const [match, distance] = matrix.find(probe, threshold, options.aggregate);
             if (match !== undefined) {
-                matched = {label: indices[match], confidence: 1 - confidence};
+                matched = {
+                    label: indices[match],
+                    confidence: confidence(distance),
+                };
+            }
+            if (options.topK) {
+                const candidates = matrix.rank(probe, options.topK, options.aggregate)
+                    .map(([idx, distance]) => {
+                        const res = {label: indices[idx], distance, confidence: confidence(distance), accepted: distance < threshold};
+                        if (work.items[indices[idx]] && work.items[indices[idx]].id !== undefined) {
+                            res.id = work.items[indices[idx]].id;
+                        }
+                        return res;
+                    });
+                // sent before done, so the parent has it once the work is finished
+                Worker.send({cmd: 'candidates', workid: options.workid, candidates, worker: Worker.id});
             }
         }
         // done
@@ -72,38 +112,217 @@ async function verify(work, start, end) {
     Worker.send({cmd: 'done', work: work, matched: matched, worker: Worker.id});
 }
 
+/**
+ * Find near duplicate identities, the range is compared as a whole and never
+ * stopped early.
+ *
+ * Using `centroids` mode, the range identities samples centroid are sent.
+ * Using `rank` mode, the nearest range identities of each probes are sent.
+ *
+ * @param {object} work Work
+ * @param {number} start Start index
+ * @param {number} end End index
+ */
+async function dedupe(work, start, end) {
+    log('FACE> [%d] Dedupe %s from %d to %d', Worker.id, work.id, start, end);
+    const features = [];
+    const indices = [];
+    const candidates = [];
+    try {
+        const options = work.feature.options || {};
+        const {mode, probes = [], neighbors = 5} = options.dedupe;
+        // ranking probes are validated by the parent, the first is used as reference
+        const probe = FaceFeatures.from(mode === 'rank' ? probes[0].features : work.feature.features);
+        const context = getContext(probe, options);
+        for (let current = start; current <= end; current++) {
+            const feature = await getFaceFeatures(work.items, current, probe, context);
+            if (feature && work.items[current].id !== undefined) {
+                features.push(feature);
+                indices.push(current);
+            }
+        }
+        if (features.length) {
+            if (mode === 'rank') {
+                const matrix = FeatureMatrix.from(probe, features, {mode: 'centroid', dtype: options.dtype});
+                for (const {id, features: data} of probes) {
+                    for (const [idx, distance] of matrix.rank(FaceFeatures.from(data), neighbors + 1)) {
+                        const other = work.items[indices[idx]].id;
+                        if (other !== id) {
+                            candidates.push({probe: id, id: other, distance});
+                        }
+                    }
+                }
+            } else {
+                features.forEach((feature, idx) => candidates.push({
+                    id: work.items[indices[idx]].id,
+                    features: FaceSamples.isSamples(feature) ? feature.centroid() : feature,
+                }));
+            }
+        }
+        Worker.send({cmd: 'candidates', workid: options.workid, candidates, worker: Worker.id});
+        log('FACE> [%d] Done dedupe %d identities', Worker.id, features.length);
+    }
+    catch (err) {
+        error('FACE> [%d] Err: %s', Worker.id, err);
+    }
+    Worker.send({cmd: 'done', work: work, matched: null, worker: Worker.id});
+}
+
+/**
+ * Get gallery features preparation context of the work.
+ *
+ * @param {FaceFeatures} probe Probe features
+ * @param {object} options Work options
+ * @returns {object}
+ */
+function getContext(probe, options) {
+    // registry is kept when configured unchanged
+    if (options.models) {
+        LocalModel.configure(options.models);
+    }
+    const extractor = FeatureExtractor.get(options.extractor ?? FaceFeatures.getExtractor(probe));
+    // learned metric parameters are only known by the parent
+    if (options.metric && probe.metric && FeatureMetric.get(probe.metric) === undefined) {
+        FeatureMetric.create(options.metric);
+    }
+    const selector = FaceSelector.from(options.select);
+    if (detector === undefined) {
+        detector = FaceDetection.get(options.detector);
+    }
+    const context = {extractor, selector, update: options.update ?? true};
+    if (options.cache) {
+        context.cache = FeatureCache.get(options.cache);
+        context.signature = {
+            extractor: extractor.getSignature(),
+            detector: detector.getSignature(),
+            select: selector.policy,
+        }
+    }
+    return context;
+}
+
 async function getFaces(img) {
     if (detector === undefined) {
-        detector = new FaceDetection();
+        detector = FaceDetection.get();
     }
     const detection = await detector.getFaces(img);
     if (detection.faces) {
         return detection.faces
-            .map(landmark => new FaceLandmark({shape: detection.shape, ...landmark}));
+            .map(landmark => new FaceLandmark({shape: detection.shape, image: detection.image, ...landmark}));
     }
 }
 
-async function getFaceFeatures(items, index) {
+async function getFaceFeatures(items, index, probe, context) {
     let res;
     const data = items[index];
     if (data) {
-        if (data.type === 'Buffer' && data.data) {
-            const buff = Buffer.from(data.data);
-            const faces = await getFaces(buff);
-            if (Array.isArray(faces) && faces.length) {
-                res = faces[0].getFeatures();
-                items[index] = res;
-            } else {
-                items[index] = null;
+        if (FaceSamples.isSamples(data)) {
+            let updated = false;
+            const samples = [];
+            for (let i = 0; i < data.samples.length; i++) {
+                const [features, update] = await prepareFeatures(data.samples[i], index, context);
+                if (update) {
+                    data.samples[i] = features;
+                    updated = true;
+                }
+                if (features && getComparable(features, index, probe)) {
+                    samples.push(features);
+                }
+            }
+            if (updated) {
+                items[index] = {...data, samples: data.samples.filter(sample => sample)};
+                Worker.send({cmd: 'update', index, data: items[index], worker: Worker.id});
+            }
+            if (samples.length) {
+                res = new FaceSamples(samples);
             }
-            Worker.send({cmd: 'update', index, data: items[index], worker: Worker.id});
         } else {
-            res = data;
+            const [features, update] = await prepareFeatures(data, index, context);
+            if (update) {
+                items[index] = features;
+                Worker.send({cmd: 'update', index, data: items[index], worker: Worker.id});
+            }
+            if (features) {
+                res = getComparable(features, index, probe);
+            }
         }
     }
     return res;
 }
 
+/**
+ * Turn a gallery sample into face features.
+ *
+ * @param {object} data Gallery sample, an image, encoded template, or features
+ * @param {number} index Gallery index
+ * @param {object} context Preparation context
+ * @param {FeatureExtractor} context.extractor Features extractor
+ * @param {FaceSelector} context.selector Face selector
+ * @param {boolean} context.update Whether extracted image features can replace the sample
+ * @param {FeatureCache} context.cache Features cache
+ * @param {object} context.signature Features cache signature
+ * @returns {Promise<Array>} Features and whether the sample must be replaced
+ */
+async function prepareFeatures(data, index, context) {
+    const {extractor, selector, cache, signature} = context;
+    if (data.type === 'Buffer' && data.data) {
+        const buff = Buffer.from(data.data);
+        if (FaceTemplate.isTemplate(buff)) {
+            try {
+                return [FaceFeatures.decode(buff), true];
+            }
+            catch (err) {
+                if (!(err instanceof FaceTemplateError)) {
+                    throw err;
+                }
+                error('FACE> [%d] Invalid template %d: %s', Worker.id, index, err.message);
+                return [null, true];
+            }
+        }
+        let features = cache ? cache.get(buff, extractor.id, signature) : undefined;
+        if (features === undefined) {
+            let face;
+            try {
+                face = selector.select(await getFaces(buff));
+            }
+            catch (err) {
+                if (!(err instanceof FaceError)) {
+                    throw err;
+                }
+                error('FACE> [%d] Invalid image %d: %s', Worker.id, index, err.message);
+                return [null, false];
+            }
+            features = face ? await extractor.extract(face, face.image) : null;
+            if (cache && features !== undefined) {
+                cache.set(buff, extractor.id, signature, features);
+            }
+        }
+        // keep the image when it can't be extracted by current extractor, or
+        // the face is selected by request policy or extracted by request
+        // extractor
+        return [features, features !== undefined && context.update];
+    }
+    return [data, false];
+}
+
+function getComparable(features, index, probe) {
+    try {
+        // a probe without markers only tells the extractor
+        if (FaceFeatures.keys(probe).length) {
+            probe.validate(features);
+        } else if (FaceFeatures.getExtractor(features) !== FaceFeatures.getExtractor(probe)) {
+            return;
+        }
+        return features;
+    }
+    catch (err) {
+        if (!(err instanceof FaceTemplateError)) {
+            throw err;
+        }
+        error('FACE> [%d] Skipping template %d: %s', Worker.id, index, err.message);
+    }
+}
+
 function log(...args) {
     debug(...args);
 }
@@ -116,7 +335,11 @@ Worker.on('message', async (data) => {
     switch (data.cmd) {
         case 'do':
             stopped = false;
-            await verify(data.work, data.start, data.end);
+            if (data.work.feature.options && data.work.feature.options.dedupe) {
+                await dedupe(data.work, data.start, data.end);
+            } else {
+                await verify(data.work, data.start, data.end);
+            }
             break;
         case 'stop':
             stopped = true;